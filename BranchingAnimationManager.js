@@ -0,0 +1,701 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * BranchingAnimationManager
+ * The manager animates a line through a graph of locations, instead of a
+ * single path. It has the same methods as the LinearAnimationManager, and
+ * uses one to animate the route taken through the graph (the walk).
+ *
+ * The graph:
+ *  - The locations (nodes) are indexed in order, like the locations of the
+ *    LinearAnimationManager (insertAt, setAt and removeAt).
+ *  - The leg options of a location can give it an `id`, and the ids of the
+ *    locations it leads `next` to. A location without `next` leads to the
+ *    location after it, so a graph without any `next` is a single path.
+ *  - A location which leads to more than one location is a fork. The walk
+ *    stops at a fork until one of its choices is taken (see `choose`).
+ *
+ * The walk:
+ *  - Starts at the first location, and follows the locations which lead to a
+ *    single location, until a fork (or the end).
+ *  - `prev` goes back along the walk, so it retraces the choices taken.
+ *    Going forward again past a fork follows the choice taken before (the
+ *    choices are still offered there).
+ *  - Setting the current index to a location off the walk adds it to the
+ *    walk, after the current location (so `prev` returns from it).
+ *  - The indices of the methods (and of the events) are the indices of the
+ *    locations, not of the steps of the walk. The progress (see `seek`) is
+ *    along the walk.
+ *
+ * @constructor
+ * @param {google.maps.Map} map The map the animations and transitions occur on.
+ */
+function BranchingAnimationManager(map) {
+  this._linear = new LinearAnimationManager(map);
+  this._nodes = [];
+  this._walk = [];
+  ['transition-start', 'transition-end', 'animation-progress', 'paused',
+      'resumed'].forEach(function(type) {
+    MapAdapter.api.event.addListener(this._linear, type,
+        this._onLinearEvent.bind(this, type));
+  }, this);
+}
+
+BranchingAnimationManager.prototype = {
+
+  /**
+   * The manager animating the line along the walk.
+   *
+   * @property {_linear}
+   * @type {LinearAnimationManager}
+   * @default {null}
+   */
+  _linear: null,
+
+  /**
+   * The locations of the graph, in order, as {location, legOptions}. A fork
+   * also has the `choice` last taken there.
+   *
+   * @property {_nodes}
+   * @type {Array.<Object>}
+   * @default {null}
+   */
+  _nodes: null,
+
+  /**
+   * The nodes of the walk, in order: the path of the `_linear` manager.
+   * A node can be walked more than once.
+   *
+   * @property {_walk}
+   * @type {Array.<Object>}
+   * @default {null}
+   */
+  _walk: null,
+
+  /**
+   * Sets the map on which the polyline and map transitions occur.
+   *
+   * @param {google.maps.Map} map The map on which the transitions occur.
+   */
+  set map(map) {
+    this._linear.map = map;
+  },
+
+  /**
+   * @returns {google.maps.Map} The map on which the transitions occur.
+   */
+  get map() {
+    return this._linear.map;
+  },
+
+  /**
+   * @param {string|Object} transition The strategy of the camera moves (see
+   *     `LinearAnimationManager.transition`).
+   */
+  set transition(transition) {
+    this._linear.transition = transition;
+  },
+
+  /**
+   * @returns {Object} The strategy of the camera moves.
+   */
+  get transition() {
+    return this._linear.transition;
+  },
+
+  /**
+   * @param {Object} style The style of the travelled line (see
+   *     `LinearAnimationManager.travelledLine`).
+   */
+  set travelledLine(style) {
+    this._linear.travelledLine = style;
+  },
+
+  /**
+   * @returns {Object} The style of the travelled line.
+   */
+  get travelledLine() {
+    return this._linear.travelledLine;
+  },
+
+  /**
+   * @param {Object} style The style of the upcoming line (see
+   *     `LinearAnimationManager.upcomingLine`).
+   */
+  set upcomingLine(style) {
+    this._linear.upcomingLine = style;
+  },
+
+  /**
+   * @returns {Object} The style of the upcoming line.
+   */
+  get upcomingLine() {
+    return this._linear.upcomingLine;
+  },
+
+  /**
+   * @param {string|Object} traveller The traveller riding the head of the
+   *     line (see `LinearAnimationManager.traveller`).
+   */
+  set traveller(traveller) {
+    this._linear.traveller = traveller;
+  },
+
+  /**
+   * @returns {string|Object} The icon of the traveller.
+   */
+  get traveller() {
+    return this._linear.traveller;
+  },
+
+  /**
+   * @param {number} duration The default duration of the line animations
+   *     (see `LinearAnimationManager.duration`).
+   */
+  set duration(duration) {
+    this._linear.duration = duration;
+  },
+
+  /**
+   * @returns {number} The default duration of the line animations in ms.
+   */
+  get duration() {
+    return this._linear.duration;
+  },
+
+  /**
+   * @param {number} speed The default ground speed of the line animations
+   *     (see `LinearAnimationManager.speed`).
+   */
+  set speed(speed) {
+    this._linear.speed = speed;
+  },
+
+  /**
+   * @returns {number} The default ground speed of the line animations.
+   */
+  get speed() {
+    return this._linear.speed;
+  },
+
+  /**
+   * @param {string|Function} easing The default easing of the line
+   *     animations (see `LinearAnimationManager.easing`).
+   */
+  set easing(easing) {
+    this._linear.easing = easing;
+  },
+
+  /**
+   * @returns {string|Function} The default easing of the line animations.
+   */
+  get easing() {
+    return this._linear.easing;
+  },
+
+  /**
+   * @param {string} weighting How the progress along the walk is weighted
+   *     (see `LinearAnimationManager.progressWeighting`).
+   */
+  set progressWeighting(weighting) {
+    this._linear.progressWeighting = weighting;
+  },
+
+  /**
+   * @returns {string} How the progress along the walk is weighted.
+   */
+  get progressWeighting() {
+    return this._linear.progressWeighting;
+  },
+
+  /**
+   * @param {number} timeScale The time compression of the line animations
+   *     (see `LinearAnimationManager.timeScale`).
+   */
+  set timeScale(timeScale) {
+    this._linear.timeScale = timeScale;
+  },
+
+  /**
+   * @returns {number} The time compression of the line animations.
+   */
+  get timeScale() {
+    return this._linear.timeScale;
+  },
+
+  /**
+   * Gets the number of locations in the graph (not the length of the walk).
+   *
+   * @return {number} The number of locations.
+   */
+  get length() {
+    return this._nodes.length;
+  },
+
+  /**
+   * Gets the index of the current location.
+   * NOTE: during animation/pause, this is the index of the upcoming location.
+   *
+   * @method {getCurrentIndex}
+   * @return {number} The index of the current location, or -1 if there is
+   *     none.
+   */
+  getCurrentIndex: function() {
+    return this._nodes.indexOf(this._walk[this._linear.getCurrentIndex()]);
+  },
+
+  /**
+   * Moves to the location at the given index, with the map transitions but no
+   * line animation. If the location is not on the walk, it is added to the
+   * walk after the current location.
+   *
+   * @method {setCurrentIndex}
+   * @param {number} index The index of the location.
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the transition.
+   */
+  setCurrentIndex: function(index, onTransitionComplete) {
+    index = Math.max(0, Math.min(index, this._nodes.length - 1));
+    var node = this._nodes[index];
+    if (!node) return;
+    var step = this._findStep(node);
+    if (step < 0) {
+      step = this._linear.getCurrentIndex() + 1;
+      this._setWalk(this._extend(this._walk.slice(0, step).concat(node)));
+    }
+    this._linear.setCurrentIndex(step, onTransitionComplete);
+  },
+
+  /**
+   * Places the head of the line part way along the leg of the walk leading to
+   * the location at the given index (see `LinearAnimationManager.setOffset`).
+   * It does nothing if the location is not on the walk.
+   *
+   * @method {setOffset}
+   * @param {number} index The index of the location the leg leads to.
+   * @param {number} offset The fraction [0, 1] of the leg's ground distance.
+   */
+  setOffset: function(index, offset) {
+    var step = this._findStep(this._nodes[index]);
+    if (step >= 0) this._linear.setOffset(step, offset);
+  },
+
+  /**
+   * Seeks to the given progress along the walk (see
+   * `LinearAnimationManager.seek`).
+   *
+   * @method {seek}
+   * @param {number} progress The progress [0, 1] along the walk.
+   */
+  seek: function(progress) {
+    this._linear.seek(progress);
+  },
+
+  /**
+   * @method {getProgress}
+   * @returns {number} The progress [0, 1] of the head of the line along the
+   *     walk.
+   */
+  getProgress: function() {
+    return this._linear.getProgress();
+  },
+
+  /**
+   * @method {getProgressAt}
+   * @param {number} index The index of a location.
+   * @returns {?number} The progress [0, 1] along the walk at the location, or
+   *     null if it is not on the walk.
+   */
+  getProgressAt: function(index) {
+    var step = this._findStep(this._nodes[index]);
+    return step < 0 ? null : this._linear.getProgressAt(step);
+  },
+
+  /**
+   * @method {getPosition}
+   * @returns {google.maps.LatLng} The head of the line.
+   */
+  getPosition: function() {
+    return this._linear.getPosition();
+  },
+
+  /**
+   * @method {getLinePaths}
+   * @returns {{travelled: !Array.<google.maps.LatLng>,
+   *     upcoming: !Array.<google.maps.LatLng>}} The paths of the lines along
+   *     the walk (see `LinearAnimationManager.getLinePaths`).
+   */
+  getLinePaths: function() {
+    return this._linear.getLinePaths();
+  },
+
+  /**
+   * @method {getTime}
+   * @returns {?number} The time at the head of the line (see
+   *     `LinearAnimationManager.getTime`).
+   */
+  getTime: function() {
+    return this._linear.getTime();
+  },
+
+  /**
+   * @method {getStats}
+   * @returns {!Object} The statistics of the journey along the walk (see
+   *     `LinearAnimationManager.getStats`), with the index of the location the
+   *     leg leads to instead of the step of the walk.
+   */
+  getStats: function() {
+    var stats = this._linear.getStats();
+    stats.index = Math.max(0, this._nodes.indexOf(this._walk[stats.index]));
+    return stats;
+  },
+
+  /**
+   * @method {getHeadingOfAnimation}
+   * @returns {number} The heading of the animation along the walk (see
+   *     `LinearAnimationManager.getHeadingOfAnimation`).
+   */
+  getHeadingOfAnimation: function() {
+    return this._linear.getHeadingOfAnimation();
+  },
+
+  /**
+   * @method {isIdle}
+   * @returns {boolean} True if the transition manager is idle.
+   */
+  isIdle: function() {
+    return this._linear.isIdle();
+  },
+
+  /**
+   * @method {isAnimating}
+   * @returns {boolean} True if the line is currently animating.
+   */
+  isAnimating: function() {
+    return this._linear.isAnimating();
+  },
+
+  /**
+   * @method {isPaused}
+   * @returns {boolean} True if the line is currently paused.
+   */
+  isPaused: function() {
+    return this._linear.isPaused();
+  },
+
+  /**
+   * Clears the graph and stops any animations in progress.
+   *
+   * @method {clear}
+   */
+  clear: function() {
+    this._linear.clear();
+    this._nodes = [];
+    this._walk = [];
+  },
+
+  /**
+   * @method {isEmpty}
+   * @return {boolean} True if the graph is empty.
+   */
+  isEmpty: function() {
+    return !this._nodes.length;
+  },
+
+  /**
+   * Inserts a location into the graph at the given index.
+   *
+   * @method {insertAt}
+   * @param {number} index The index at which to insert the location.
+   * @param {!google.maps.LatLng} location The location to insert.
+   * @param {Object} legOptions (Optional) The options of the legs leading to
+   *     the location (see `LinearAnimationManager._legs`), with its `id` and
+   *     the ids of the locations it leads `next` to.
+   */
+  insertAt: function(index, location, legOptions) {
+    if (!location) return;
+    index = Math.max(0, Math.min(index, this._nodes.length));
+    var node = {location: location, legOptions: legOptions || {}};
+    this._nodes.splice(index, 0, node);
+    // A new first location leading to the start of the walk starts it.
+    if (index == 0 && this._walk.length &&
+        this._getNext(node).indexOf(this._walk[0]) >= 0) {
+      this._walk.unshift(node);
+      this._linear.insertAt(0, node.location, node.legOptions);
+    }
+    this._updateWalk();
+  },
+
+  /**
+   * Sets the location at the given index, wherever it is on the walk.
+   *
+   * @method {setAt}
+   * @param {number} index The index at which to set the location.
+   * @param {!google.maps.LatLng} location The location to set.
+   * @param {Object} legOptions (Optional) If given, replaces the options of the
+   *     legs leading to the location (see `insertAt`).
+   */
+  setAt: function(index, location, legOptions) {
+    var node = this._nodes[index];
+    if (!node || !location) return;
+    node.location = location;
+    if (legOptions !== undefined) node.legOptions = legOptions || {};
+    this._walk.forEach(function(step, i) {
+      if (step === node) this._linear.setAt(i, location, legOptions);
+    }, this);
+    this._updateWalk();
+  },
+
+  /**
+   * Checks if an update of the current location is required if the location
+   * at the given index is removed (see
+   * `LinearAnimationManager.isUpdateRequiredIfRemoveAt`).
+   *
+   * @method {isUpdateRequiredIfRemoveAt}
+   * @param {number} index The index of the location.
+   * @return {boolean} True if the line is at (or animating from or to) the
+   *     location.
+   */
+  isUpdateRequiredIfRemoveAt: function(index) {
+    var node = this._nodes[index];
+    return this._walk.some(function(step, i) {
+      return step === node && this._linear.isUpdateRequiredIfRemoveAt(i);
+    }, this);
+  },
+
+  /**
+   * Removes the location at the given index. It is taken out of the walk too,
+   * and the walk is rebuilt from the current location (or the location
+   * before it on the walk, if it is the current location).
+   *
+   * @method {removeAt}
+   * @param {number} index The index at which to remove the location.
+   */
+  removeAt: function(index) {
+    var node = this._nodes.splice(index, 1)[0];
+    if (!node) return;
+    if (this._walk.indexOf(node) >= 0) {
+      var current = this._linear.getCurrentIndex();
+      var walk = [];
+      this._walk.slice(0, current + 1).forEach(function(step) {
+        if (step !== node && step !== walk[walk.length - 1]) walk.push(step);
+      });
+      this._linear.clear();
+      this._walk = [];
+      this._setWalk(walk);
+      if (walk.length > 1) this._linear.setOffset(walk.length - 1, 1);
+    }
+    this._updateWalk();
+  },
+
+  /**
+   * @method {hasNext}
+   * @returns {boolean} If true, the walk has a next location.
+   */
+  hasNext: function() {
+    return this._linear.hasNext();
+  },
+
+  /**
+   * @method {hasPrev}
+   * @returns {boolean} If true, the walk has a previous location.
+   */
+  hasPrev: function() {
+    return this._linear.hasPrev();
+  },
+
+  /**
+   * Animates the line to the next location on the walk. At a fork, this is the
+   * choice taken before, if there is one.
+   *
+   * @method {next}
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the map transition and line animation.
+   */
+  next: function(onTransitionComplete) {
+    this._linear.next(onTransitionComplete);
+  },
+
+  /**
+   * Animates the line back to the previous location on the walk.
+   *
+   * @method {prev}
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the map transition and line animation.
+   */
+  prev: function(onTransitionComplete) {
+    this._linear.prev(onTransitionComplete);
+  },
+
+  /**
+   * Pauses the line animation (if there is an animation in progress).
+   *
+   * @method {pause}
+   */
+  pause: function() {
+    this._linear.pause();
+  },
+
+  /**
+   * Gets the choices of the fork the line is at.
+   *
+   * @method {getChoices}
+   * @returns {!Array.<number>} The indices of the locations the current
+   *     location leads to, if it is a fork and the line is idle there.
+   *     Otherwise, none.
+   */
+  getChoices: function() {
+    if (!this._linear.isIdle()) return [];
+    var node = this._walk[this._linear.getCurrentIndex()];
+    var next = node ? this._getNext(node) : [];
+    if (next.length < 2) return [];
+    return next.map(function(choice) {
+      return this._nodes.indexOf(choice);
+    }, this);
+  },
+
+  /**
+   * Takes a choice of the fork the line is at: the walk goes on through the
+   * location, and the line animates to it.
+   *
+   * @method {choose}
+   * @param {number} index The index of the location chosen (see
+   *     `getChoices`).
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the map transition and line animation.
+   */
+  choose: function(index, onTransitionComplete) {
+    if (this.getChoices().indexOf(index) < 0) return;
+    var current = this._linear.getCurrentIndex();
+    var choice = this._walk[current].choice = this._nodes[index];
+    var walk = this._walk.slice(0, current + 1).concat(choice);
+    this._setWalk(this._extend(walk));
+    this._linear.next(onTransitionComplete);
+  },
+
+  /**
+   * Gets the nodes the given node leads to: those of its `next` ids (which
+   * are in the graph), or else the node after it.
+   *
+   * @method {_getNext}
+   * @param {!Object} node The node.
+   * @returns {!Array.<Object>} The nodes it leads to.
+   */
+  _getNext: function(node) {
+    var ids = node.legOptions.next;
+    if (ids && ids.length) {
+      return this._nodes.filter(function(next) {
+        return next.legOptions.id != null &&
+            ids.indexOf(next.legOptions.id) >= 0;
+      });
+    }
+    var next = this._nodes[this._nodes.indexOf(node) + 1];
+    return next ? [next] : [];
+  },
+
+  /**
+   * Extends the walk from its last node, while each node leads to a single
+   * node (and the walk does not loop back on itself).
+   *
+   * @method {_extend}
+   * @param {!Array.<Object>} walk The walk to extend.
+   * @returns {!Array.<Object>} The walk.
+   */
+  _extend: function(walk) {
+    var from = walk.length - 1;
+    var last = walk[from];
+    while (last) {
+      var next = this._getNext(last);
+      if (next.length != 1 || walk.indexOf(next[0], from) >= 0) break;
+      walk.push(last = next[0]);
+    }
+    return walk;
+  },
+
+  /**
+   * Updates the walk after the graph changes: the walk up to the current
+   * location is kept, and so is the walk ahead for as long as it is still a
+   * way through the graph (through the choices taken at its forks). It is then
+   * extended (see `_extend`).
+   *
+   * @method {_updateWalk}
+   */
+  _updateWalk: function() {
+    var current = this._linear.getCurrentIndex();
+    var walk = this._walk.slice(0, current + 1);
+    for (var i = current + 1; i < this._walk.length; ++i) {
+      var from = walk[i - 1];
+      var next = this._getNext(from);
+      var step = this._walk[i];
+      if (next.indexOf(step) < 0 || (next.length > 1 && from.choice !== step)) {
+        break;
+      }
+      walk.push(step);
+    }
+    if (!walk.length && this._nodes.length) walk.push(this._nodes[0]);
+    this._setWalk(this._extend(walk));
+  },
+
+  /**
+   * Sets the walk, and the path of the line: the steps from the first one
+   * which differs are replaced.
+   *
+   * @method {_setWalk}
+   * @param {!Array.<Object>} walk The new walk.
+   */
+  _setWalk: function(walk) {
+    var same = 0;
+    while (same < walk.length && walk[same] === this._walk[same]) ++same;
+    for (var i = this._walk.length - 1; i >= same; --i) {
+      this._linear.removeAt(i);
+    }
+    this._walk = walk;
+    for (i = same; i < walk.length; ++i) {
+      this._linear.insertAt(i, walk[i].location, walk[i].legOptions);
+    }
+  },
+
+  /**
+   * @method {_findStep}
+   * @param {Object} node The node to find.
+   * @returns {number} The step of the walk at the node closest to the current
+   *     location, or -1 if the node is not on the walk.
+   */
+  _findStep: function(node) {
+    var current = this._linear.getCurrentIndex();
+    var found = -1;
+    this._walk.forEach(function(step, i) {
+      if (step === node && (found < 0 ||
+          Math.abs(i - current) < Math.abs(found - current))) {
+        found = i;
+      }
+    });
+    return found;
+  },
+
+  /**
+   * Re-triggers an event of the `_linear` manager from this manager, with the
+   * index of the location instead of the step of the walk.
+   *
+   * @method {_onLinearEvent}
+   * @param {string} type The type of the event.
+   * @param {!Object} detail The detail of the event.
+   */
+  _onLinearEvent: function(type, detail) {
+    detail.index = this._nodes.indexOf(this._walk[detail.index]);
+    MapAdapter.api.event.trigger(this, type, detail);
+  }
+};
@@ -0,0 +1,146 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The ISO 8601 date and time formats of a scene's `datetime`: a calendar date
+ * (`2015-03-21`), optionally with a time (`2015-03-21T14:30`, with seconds and
+ * their fraction if need be) and a UTC offset (`Z`, `+10:00` or `+1000`).
+ */
+var ISO_DATE_TIME = new RegExp('^(\\d{4})-(\\d{2})-(\\d{2})' +
+    '(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d+))?)?' +
+    '(Z|[+-]\\d{2}(?::?\\d{2})?)?)?$');
+
+/**
+ * Parses an ISO 8601 date and time (see `ISO_DATE_TIME`). A date and time
+ * without a UTC offset is taken to be in UTC, as a date on its own is, so a
+ * story plays the same wherever it is read.
+ *
+ * @method {parseDateTime}
+ * @param {string} value The date and time.
+ * @returns {?number} The time in milliseconds since the epoch, or null if the
+ *     value is missing or is not a valid ISO 8601 date and time.
+ */
+function parseDateTime(value) {
+  var match = ISO_DATE_TIME.exec(String(value == null ? '' : value).trim());
+  if (!match) return null;
+  var year = Number(match[1]);
+  var month = Number(match[2]) - 1;
+  var day = Number(match[3]);
+  var hours = Number(match[4] || 0);
+  var minutes = Number(match[5] || 0);
+  var seconds = Number(match[6] || 0);
+  var milliseconds = Math.round(Number('0.' + (match[7] || 0)) * 1000);
+  var date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+  // Date.UTC rolls over out of range fields (e.g. the 30th of February).
+  if (date.getUTCMonth() != month || date.getUTCDate() != day ||
+      hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  date.setUTCFullYear(year);  // Date.UTC maps the years 0 to 99 to 1900s.
+  var offset = 0;
+  var zone = match[8];
+  if (zone && zone != 'Z') {
+    var digits = zone.replace(':', '');
+    var offsetMinutes = Number(digits.substr(1, 2)) * 60 +
+        Number(digits.substr(3, 2) || 0);
+    if (offsetMinutes > 18 * 60) return null;
+    offset = (zone.charAt(0) == '-' ? -1 : 1) * offsetMinutes * 60000;
+  }
+  return date.getTime() + milliseconds - offset;
+}
+
+/**
+ * The formatters of `formatDateTime`, by locale and time zone, as the clock
+ * formats a time on every frame.
+ *
+ * @type {!Object.<string, Intl.DateTimeFormat>}
+ */
+var dateTimeFormats = {};
+
+/**
+ * Formats a time for a reader, in their locale.
+ *
+ * @method {formatDateTime}
+ * @param {number} time The time in milliseconds since the epoch.
+ * @param {?string} timeZone (Optional) The IANA time zone to show the time in
+ *     (e.g. `Australia/Sydney` or `UTC`). Defaults to the reader's time zone.
+ * @param {?string} locale (Optional) The locale. Defaults to the reader's.
+ * @returns {string} The date and time, with the name of the time zone.
+ * @throws {RangeError} If the time zone is not a valid IANA time zone.
+ */
+function formatDateTime(time, timeZone, locale) {
+  var key = (locale || '') + ' ' + (timeZone || '');
+  var format = dateTimeFormats[key];
+  if (!format) {
+    format = dateTimeFormats[key] = new Intl.DateTimeFormat(
+        locale || undefined, {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          timeZone: timeZone || undefined,
+          timeZoneName: 'short'
+        });
+  }
+  return format.format(new Date(time));
+}
+
+/**
+ * @method {isValidTimeZone}
+ * @param {string} timeZone The IANA time zone to check.
+ * @returns {boolean} True if dates can be formatted in the time zone.
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    formatDateTime(0, timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Sorts items (e.g. scenes) into chronological order. The sort is stable:
+ * items at the same time keep their order. An item without a time keeps its
+ * place after the item before it, so it moves along with that item (items
+ * before the first timed item stay at the start).
+ *
+ * @method {sortChronologically}
+ * @param {!Array} items The items to sort.
+ * @param {function(*): ?number} getTime Gets the time of an item, or null if it
+ *     has none.
+ * @returns {!Array} The items, in chronological order (a new array).
+ */
+function sortChronologically(items, getTime) {
+  var groups = [{time: -Infinity, items: []}];
+  items.forEach(function(item) {
+    var time = getTime(item);
+    if (time == null || isNaN(time)) {
+      groups[groups.length - 1].items.push(item);
+    } else {
+      groups.push({time: time, items: [item]});
+    }
+  });
+  groups.forEach(function(group, index) {
+    group.index = index;
+  });
+  groups.sort(function(a, b) {
+    return (a.time - b.time) || (a.index - b.index);
+  });
+  return groups.reduce(function(sorted, group) {
+    return sorted.concat(group.items);
+  }, []);
+}
@@ -0,0 +1,412 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The geocoder statuses used by the GeocodeQueue.
+ * (The same values as google.maps.GeocoderStatus, and `QUEUE_FULL` for a
+ * request the queue had no room for.)
+ */
+var GeocodeStatus = {
+  OK: 'OK',
+  OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+  QUEUE_FULL: 'QUEUE_FULL'
+};
+
+/**
+ * GeocodeCache
+ *  - Caches address -> location results in memory.
+ *  - If given a storage key, it also keeps them in localStorage, so they
+ *    survive page loads.
+ *
+ * @constructor
+ * @param {?string} storageKey (Optional) The localStorage key to persist the
+ *     cache under. If null, the cache is only kept in memory.
+ */
+function GeocodeCache(storageKey) {
+  this._entries = {};
+  this._storageKey = storageKey || null;
+  this._load();
+}
+
+GeocodeCache.prototype = {
+
+  /**
+   * The cached locations, keyed by normalized address. A location is either a
+   * google.maps.LatLng, or a {lat, lng} literal if it was loaded from storage.
+   *
+   * @property {_entries}
+   * @type {Object}
+   * @default {null}
+   */
+  _entries: null,
+
+  /**
+   * The localStorage key the cache is persisted under.
+   *
+   * @property {_storageKey}
+   * @type {?string}
+   * @default {null}
+   */
+  _storageKey: null,
+
+  /**
+   * @method {get}
+   * @param {string} address The address to look up.
+   * @returns {google.maps.LatLng} The cached location, or null if the address
+   *     is not cached.
+   */
+  get: function(address) {
+    var key = normalizeAddress(address);
+    var location = this._entries[key];
+    if (!location) return null;
+    if (!(location instanceof MapAdapter.api.LatLng)) {
+      location = this._entries[key] =
+          new MapAdapter.api.LatLng(location.lat, location.lng);
+    }
+    return location;
+  },
+
+  /**
+   * @method {set}
+   * @param {string} address The address to cache the location of.
+   * @param {!google.maps.LatLng} location The location of the address.
+   */
+  set: function(address, location) {
+    this._entries[normalizeAddress(address)] = location;
+    this._save();
+  },
+
+  /**
+   * Removes all the cached locations (including those in storage).
+   *
+   * @method {clear}
+   */
+  clear: function() {
+    this._entries = {};
+    this._save();
+  },
+
+  /**
+   * Loads the persisted locations, if there are any.
+   *
+   * @method {_load}
+   */
+  _load: function() {
+    if (!this._storageKey) return;
+    try {
+      var stored = JSON.parse(window.localStorage.getItem(this._storageKey));
+      for (var key in stored) {
+        this._entries[key] = stored[key];
+      }
+    } catch (e) {
+      // Storage is unavailable or corrupt: keep the cache in memory only.
+    }
+  },
+
+  /**
+   * Persists the locations, if the cache has a storage key.
+   *
+   * @method {_save}
+   */
+  _save: function() {
+    if (!this._storageKey) return;
+    var stored = {};
+    for (var key in this._entries) {
+      var location = this._entries[key];
+      stored[key] = {
+        lat: typeof location.lat == 'function' ? location.lat() : location.lat,
+        lng: typeof location.lng == 'function' ? location.lng() : location.lng
+      };
+    }
+    try {
+      window.localStorage.setItem(this._storageKey, JSON.stringify(stored));
+    } catch (e) {
+      // Storage is unavailable or full: keep the cache in memory only.
+    }
+  }
+};
+
+/**
+ * @method {normalizeAddress}
+ * @param {string} address The address to normalize.
+ * @returns {string} The address trimmed and in lower case, so equivalent
+ *     addresses share a cache entry.
+ */
+function normalizeAddress(address) {
+  return String(address).trim().toLowerCase();
+}
+
+/**
+ * GeocodeQueue
+ *  - Throttles geocoding requests through a bounded queue: no more than
+ *    `maxConcurrent` requests are in flight, and no more than `maxPending`
+ *    wait to be sent. A request made while the queue is full fails with
+ *    QUEUE_FULL.
+ *  - Answers repeated addresses from its GeocodeCache.
+ *  - Retries requests which fail with OVER_QUERY_LIMIT, backing off
+ *    exponentially. The whole queue is held while it backs off.
+ *  - Drops the responses of cancelled (stale) requests, and of the requests
+ *    in flight when it was cleared.
+ *
+ * The geocoder is injectable: anything with the google.maps.Geocoder
+ * `geocode(request, callback(results, status))` method can be used.
+ *
+ * @constructor
+ * @param {{geocode: Function}} geocoder The geocoder to send requests to.
+ * @param {Object} options (Optional) The queue options:
+ *   - `cache` {GeocodeCache} The cache to use. Defaults to an in memory cache.
+ *   - `maxConcurrent` {number} The most requests in flight at once.
+ *   - `maxPending` {number} The most requests waiting to be sent.
+ *   - `maxRetries` {number} The most retries of a rate limited request.
+ *   - `retryDelay` {number} The first backoff delay in milliseconds. It doubles
+ *     with each retry.
+ */
+function GeocodeQueue(geocoder, options) {
+  options = options || {};
+  this._geocoder = geocoder;
+  this._cache = options.cache || new GeocodeCache(null);
+  this._pending = [];
+  if (options.maxConcurrent > 0) this._MAX_CONCURRENT = options.maxConcurrent;
+  if (options.maxPending >= 0) this._MAX_PENDING = options.maxPending;
+  if (options.maxRetries >= 0) this._MAX_RETRIES = options.maxRetries;
+  if (options.retryDelay >= 0) this._RETRY_DELAY_MS = options.retryDelay;
+}
+
+GeocodeQueue.prototype = {
+
+  /**
+   * The most requests sent to the geocoder at once.
+   *
+   * @property {_MAX_CONCURRENT}
+   * @type {number}
+   * @default {2}
+   */
+  _MAX_CONCURRENT: 2,
+
+  /**
+   * The most requests waiting to be sent.
+   *
+   * @property {_MAX_PENDING}
+   * @type {number}
+   * @default {100}
+   */
+  _MAX_PENDING: 100,
+
+  /**
+   * The most times a rate limited request is retried.
+   *
+   * @property {_MAX_RETRIES}
+   * @type {number}
+   * @default {5}
+   */
+  _MAX_RETRIES: 5,
+
+  /**
+   * The delay before the first retry of a rate limited request.
+   * Each following retry waits twice as long.
+   *
+   * @property {_RETRY_DELAY_MS}
+   * @type {number}
+   * @default {250}
+   */
+  _RETRY_DELAY_MS: 250,
+
+  /**
+   * The requests waiting to be sent, in order.
+   *
+   * @property {_pending}
+   * @type {Array.<Object>}
+   * @default {null}
+   */
+  _pending: null,
+
+  /**
+   * The number of requests in flight.
+   *
+   * @property {_active}
+   * @type {number}
+   * @default {0}
+   */
+  _active: 0,
+
+  /**
+   * The timeoutId of the backoff holding the queue, if it is held.
+   *
+   * @property {_holdId}
+   * @type {number}
+   * @default {0}
+   */
+  _holdId: 0,
+
+  /**
+   * The generation of the queue, moved on by each `clear`. A request
+   * answered in a later generation than it was made in is dropped.
+   *
+   * @property {_generation}
+   * @type {number}
+   * @default {0}
+   */
+  _generation: 0,
+
+  /**
+   * @returns {GeocodeCache} The cache of the queue.
+   */
+  get cache() {
+    return this._cache;
+  },
+
+  /**
+   * Sets the most requests sent to the geocoder at once. If it is raised,
+   * waiting requests are sent straight away.
+   *
+   * @param {number} maxConcurrent The most requests in flight at once.
+   */
+  set maxConcurrent(maxConcurrent) {
+    if (maxConcurrent > 0) this._MAX_CONCURRENT = maxConcurrent;
+    this._next();
+  },
+
+  /**
+   * @returns {number} The most requests sent to the geocoder at once.
+   */
+  get maxConcurrent() {
+    return this._MAX_CONCURRENT;
+  },
+
+  /**
+   * @returns {number} The number of requests waiting or in flight.
+   */
+  get length() {
+    return this._pending.length + this._active;
+  },
+
+  /**
+   * Geocodes the address. The callback is always invoked asynchronously: on
+   * the next tick if the address is cached (or the queue is full, with a
+   * QUEUE_FULL status), otherwise once the request has been answered.
+   *
+   * @method {geocode}
+   * @param {string} address The address to geocode.
+   * @param {Function} callback The callback to invoke with the location
+   *     (null if geocoding failed) and the geocoder status.
+   * @returns {{cancel: Function}} The request. Once cancelled, its callback is
+   *     never invoked, and it no longer waits in the queue.
+   */
+  geocode: function(address, callback) {
+    var pending = this._pending;
+    var request = {
+      address: address,
+      callback: callback,
+      attempts: 0,
+      generation: this._generation,
+      cancelled: false,
+      cancel: function() {
+        this.cancelled = true;
+        var index = pending.indexOf(this);
+        if (index >= 0) pending.splice(index, 1);
+      }
+    };
+    var location = this._cache.get(address);
+    if (location || pending.length >= this._MAX_PENDING) {
+      var status = location ? GeocodeStatus.OK : GeocodeStatus.QUEUE_FULL;
+      window.setTimeout(function() {
+        if (!request.cancelled && request.generation == this._generation) {
+          callback(location, status);
+        }
+      }.bind(this));
+    } else {
+      this._pending.push(request);
+      this._next();
+    }
+    return request;
+  },
+
+  /**
+   * Cancels all the requests, and releases the queue if it is held. The
+   * responses to the requests in flight are dropped when they arrive.
+   *
+   * @method {clear}
+   */
+  clear: function() {
+    ++this._generation;
+    this._pending.splice(0).forEach(function(request) {
+      request.cancel();
+    });
+    window.clearTimeout(this._holdId);
+    this._holdId = 0;
+  },
+
+  /**
+   * Sends the next pending requests, as long as the queue is not held and
+   * there is room for them.
+   *
+   * @method {_next}
+   */
+  _next: function() {
+    while (!this._holdId && this._active < this._MAX_CONCURRENT &&
+        this._pending.length) {
+      var request = this._pending.shift();
+      // Another request may have cached the address in the meantime.
+      var location = this._cache.get(request.address);
+      if (location) {
+        request.callback(location, GeocodeStatus.OK);
+        continue;
+      }
+      ++this._active;
+      ++request.attempts;
+      this._geocoder.geocode({address: request.address},
+          this._onResponse.bind(this, request));
+    }
+  },
+
+  /**
+   * @method {_onResponse}
+   * @param {Object} request The request answered.
+   * @param {Array.<google.maps.GeocoderResult>} results The geocoder results.
+   * @param {string} status The geocoder status.
+   */
+  _onResponse: function(request, results, status) {
+    --this._active;
+    if (request.generation != this._generation) request.cancelled = true;
+    if (status == GeocodeStatus.OVER_QUERY_LIMIT &&
+        request.attempts <= this._MAX_RETRIES && !request.cancelled) {
+      // Hold the whole queue, then retry this request first.
+      this._pending.unshift(request);
+      this._hold(this._RETRY_DELAY_MS * Math.pow(2, request.attempts - 1));
+    } else if (!request.cancelled) {
+      var location = null;
+      if (status == GeocodeStatus.OK && results && results.length) {
+        location = results[0].geometry.location;
+        this._cache.set(request.address, location);
+      }
+      request.callback(location, status);
+    }
+    this._next();
+  },
+
+  /**
+   * Holds the queue (no requests are sent) for the given time.
+   *
+   * @method {_hold}
+   * @param {number} delay The time in milliseconds to hold the queue for.
+   */
+  _hold: function(delay) {
+    window.clearTimeout(this._holdId);
+    this._holdId = window.setTimeout(function() {
+      this._holdId = 0;
+      this._next();
+    }.bind(this), delay);
+  }
+};
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The units distances can be shown in, by name. Each has a large and a small
+ * unit (their symbols, and their lengths in metres); distances shorter than
+ * `threshold` metres are shown in the small unit.
+ */
+var DistanceUnits = {
+  metric: {
+    large: {symbol: 'km', metres: 1000},
+    small: {symbol: 'm', metres: 1},
+    threshold: 1000
+  },
+  imperial: {
+    large: {symbol: 'mi', metres: 1609.344},
+    small: {symbol: 'ft', metres: 0.3048},
+    threshold: 160.9344
+  }
+};
+
+/**
+ * The units distances are shown in if none (or unknown ones) are given.
+ */
+var DEFAULT_UNITS = 'metric';
+
+/**
+ * The points of the compass bearings are shown with, clockwise from north.
+ */
+var COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * @method {getDistanceUnits}
+ * @param {string} units The name of the units (see `DistanceUnits`).
+ * @returns {!Object} The units, or the default units if the name is unknown.
+ */
+function getDistanceUnits(units) {
+  return DistanceUnits[String(units).toLowerCase()] ||
+      DistanceUnits[DEFAULT_UNITS];
+}
+
+/**
+ * @method {isValidLocale}
+ * @param {string} locale The BCP 47 language tag to check, e.g. `en-GB`.
+ * @returns {boolean} True if numbers can be formatted in the locale.
+ */
+function isValidLocale(locale) {
+  try {
+    formatNumber(0, 0, locale);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The formatters of `formatNumber`, by locale and number of digits, as the
+ * readout formats its numbers on every frame.
+ *
+ * @type {!Object.<string, Intl.NumberFormat>}
+ */
+var numberFormats = {};
+
+/**
+ * Formats a number for a reader, in their locale.
+ *
+ * @method {formatNumber}
+ * @param {number} value The number.
+ * @param {number} digits The number of digits after the decimal point.
+ * @param {?string} locale (Optional) The locale. Defaults to the reader's.
+ * @returns {string} The number, with the locale's separators.
+ * @throws {RangeError} If the locale is not a valid language tag.
+ */
+function formatNumber(value, digits, locale) {
+  var key = (locale || '') + ' ' + digits;
+  var format = numberFormats[key];
+  if (!format) {
+    format = numberFormats[key] = new Intl.NumberFormat(locale || undefined, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    });
+  }
+  return format.format(value);
+}
+
+/**
+ * Formats a distance in the large unit of the units (to a tenth under 100),
+ * or, if it is short, in the small unit.
+ *
+ * @method {formatDistance}
+ * @param {number} metres The distance in metres.
+ * @param {string} units The name of the units (see `DistanceUnits`).
+ * @param {?string} locale (Optional) The locale. Defaults to the reader's.
+ * @returns {string} The distance with the symbol of its unit, e.g. `12.5 km`.
+ */
+function formatDistance(metres, units, locale) {
+  var system = getDistanceUnits(units);
+  var unit = metres < system.threshold ? system.small : system.large;
+  var value = metres / unit.metres;
+  var digits = (unit === system.large && value < 100) ? 1 : 0;
+  return formatNumber(value, digits, locale) + ' ' + unit.symbol;
+}
+
+/**
+ * @method {formatBearing}
+ * @param {number} bearing The bearing in degrees clockwise from north.
+ * @param {?string} locale (Optional) The locale. Defaults to the reader's.
+ * @returns {string} The bearing to the degree with its point of the compass,
+ *     e.g. `135° SE`.
+ */
+function formatBearing(bearing, locale) {
+  var degrees = (Math.round(bearing) % 360 + 360) % 360;
+  var point = COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length];
+  return formatNumber(degrees, 0, locale) + '° ' + point;
+}
+
+/**
+ * Formats the statistics of a journey as the lines of a readout: the leg's
+ * length and bearing, the distances travelled and to go, and the time of
+ * arrival (formatted with `formatDateTime`). Where the leg's location has no
+ * time, the arrival is the animation time left on the leg, in seconds.
+ *
+ * @method {formatJourneyStats}
+ * @param {!Object} stats The statistics (see
+ *     `LinearAnimationManager.getStats`).
+ * @param {string} units The name of the units (see `DistanceUnits`).
+ * @param {?string} locale (Optional) The locale. Defaults to the reader's.
+ * @param {?string} timeZone (Optional) The IANA time zone of the time of
+ *     arrival. Defaults to the reader's.
+ * @returns {!Array.<string>} The lines of the readout. There is no line of the
+ *     leg if there is no leg, and none of the arrival if it has no time and
+ *     the line is not animating.
+ */
+function formatJourneyStats(stats, units, locale, timeZone) {
+  var lines = [];
+  if (stats.bearing != null) {
+    lines.push('To scene ' + (stats.index + 1) + ': ' +
+        formatDistance(stats.legDistance, units, locale) + ', ' +
+        formatBearing(stats.bearing, locale));
+  }
+  lines.push(formatDistance(stats.distance, units, locale) + ' travelled, ' +
+      formatDistance(stats.remaining, units, locale) + ' to go');
+  if (stats.eta != null) {
+    lines.push('Arrives ' + formatDateTime(stats.eta, timeZone, locale));
+  } else if (stats.arrivesIn != null) {
+    lines.push('Arrives in ' +
+        formatNumber(Math.ceil(stats.arrivesIn / 1000), 0, locale) + ' s');
+  }
+  return lines;
+}
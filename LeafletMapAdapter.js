@@ -0,0 +1,570 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The Leaflet map adapter (see `MapProvider.LEAFLET`). The page loads Leaflet
+ * (0.7 or later) itself. The map shows the tiles of the storyboard's
+ * `tileUrl`, and geocodes with a Nominatim server (see `LeafletDefaults`).
+ *
+ * Leaflet has no map types, heading, tilt, styled maps or traffic, transit
+ * and bicycling layers: they are kept, but change nothing. Lines are drawn
+ * in their colour, weight, opacity and dash, without arrows. Numbered markers
+ * without an icon are drawn as circles.
+ */
+MapAdapters[MapProvider.LEAFLET] = {
+  get api() {
+    return this._api || (this._api = makeMapsApi({
+      Map: LeafletMap,
+      Polyline: LeafletPolyline,
+      Polygon: LeafletPolygon,
+      Marker: LeafletMarker,
+      InfoWindow: LeafletInfoWindow,
+      Geocoder: LeafletGeocoder
+    }));
+  }
+};
+
+/**
+ * The defaults of the Leaflet adapter, which a page can change:
+ *   - `tileUrl` {string} The URL template of the tiles of maps which are not
+ *     given a `tileUrl`.
+ *   - `tileAttribution` {string} The attribution of those tiles.
+ *   - `geocodeUrl` {string} The search URL of the Nominatim server which
+ *     geocodes addresses.
+ */
+var LeafletDefaults = {
+  tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  tileAttribution: '&copy; <a href="https://www.openstreetmap.org/' +
+      'copyright">OpenStreetMap</a> contributors',
+  geocodeUrl: 'https://nominatim.openstreetmap.org/search'
+};
+
+/**
+ * @method {toLeafletLatLng}
+ * @param {!MapsLatLng} location The point.
+ * @returns {!L.LatLng} The point in Leaflet.
+ */
+function toLeafletLatLng(location) {
+  return L.latLng(location.lat(), location.lng());
+}
+
+/**
+ * @method {fromLeafletLatLng}
+ * @param {!L.LatLng} location The point in Leaflet.
+ * @returns {!MapsLatLng} The point.
+ */
+function fromLeafletLatLng(location) {
+  return new MapsLatLng(location.lat, location.lng);
+}
+
+/**
+ * LeafletMap
+ * A Leaflet map, as google.maps.Map. It triggers `idle` after each move, once
+ * Leaflet has finished it.
+ *
+ * @constructor
+ * @param {!Element} div The element of the map.
+ * @param {Object} options (Optional) The map options: `center`, `zoom`,
+ *     `disableDefaultUI`, and the `tileUrl` and `tileAttribution` of the
+ *     tiles (see `LeafletDefaults`). The others are kept.
+ * @throws {Error} If Leaflet has not been loaded.
+ */
+function LeafletMap(div, options) {
+  if (!window.L) {
+    throw new Error('The leaflet map provider needs Leaflet to be loaded.');
+  }
+  options = options || {};
+  this._div = div;
+  this._leaflet = L.map(div, {
+    zoomControl: !options.disableDefaultUI,
+    attributionControl: true
+  });
+  L.tileLayer(options.tileUrl || LeafletDefaults.tileUrl, {
+    attribution: options.tileAttribution || LeafletDefaults.tileAttribution
+  }).addTo(this._leaflet);
+  this._leaflet.setView(toLeafletLatLng(options.center || new MapsLatLng(0, 0)),
+      options.zoom || 0);
+  this._leaflet.on('moveend', function() {
+    scheduleMapIdle(this);
+  }, this);
+  MapsEvent.addListener(this, 'resize', function() {
+    this._leaflet.invalidateSize();
+  });
+  this.controls = makeMapControls(this._leaflet.getContainer());
+  this.setValues({mapTypeId: 'roadmap', heading: 0, tilt: 0});
+  var others = {};
+  for (var key in options) {
+    if (key != 'center' && key != 'zoom') others[key] = options[key];
+  }
+  this.setValues(others);
+  scheduleMapIdle(this);
+}
+
+LeafletMap.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(LeafletMap.prototype, ['mapTypeId', 'heading', 'tilt']);
+
+/**
+ * @method {getDiv}
+ * @returns {!Element} The element of the map.
+ */
+LeafletMap.prototype.getDiv = function() {
+  return this._div;
+};
+
+/**
+ * @method {getCenter}
+ * @returns {!MapsLatLng} The centre of the map.
+ */
+LeafletMap.prototype.getCenter = function() {
+  return fromLeafletLatLng(this._leaflet.getCenter());
+};
+
+/**
+ * @method {setCenter}
+ * @param {!MapsLatLng} location The new centre of the map.
+ */
+LeafletMap.prototype.setCenter = function(location) {
+  this._leaflet.setView(toLeafletLatLng(location), this._leaflet.getZoom(),
+      {animate: false});
+};
+
+/**
+ * @method {panTo}
+ * @param {!MapsLatLng} location The new centre of the map, panned to.
+ */
+LeafletMap.prototype.panTo = function(location) {
+  this._leaflet.panTo(toLeafletLatLng(location));
+};
+
+/**
+ * @method {getZoom}
+ * @returns {number} The zoom level of the map.
+ */
+LeafletMap.prototype.getZoom = function() {
+  return this._leaflet.getZoom();
+};
+
+/**
+ * @method {setZoom}
+ * @param {number} zoom The new zoom level of the map.
+ */
+LeafletMap.prototype.setZoom = function(zoom) {
+  this._leaflet.setZoom(zoom);
+};
+
+/**
+ * @method {fitBounds}
+ * @param {!MapsLatLngBounds} bounds The bounds to show.
+ */
+LeafletMap.prototype.fitBounds = function(bounds) {
+  if (bounds.isEmpty()) return;
+  this._leaflet.fitBounds(L.latLngBounds(
+      toLeafletLatLng(bounds.getSouthWest()),
+      toLeafletLatLng(bounds.getNorthEast())));
+};
+
+/**
+ * @method {getBounds}
+ * @returns {!MapsLatLngBounds} The bounds of the map's view.
+ */
+LeafletMap.prototype.getBounds = function() {
+  var bounds = this._leaflet.getBounds();
+  return new MapsLatLngBounds(fromLeafletLatLng(bounds.getSouthWest()),
+      fromLeafletLatLng(bounds.getNorthEast()));
+};
+
+/**
+ * Adds a Leaflet layer to the Leaflet map of a map, or removes it.
+ *
+ * @method {showLeafletLayer}
+ * @param {!L.Layer} layer The Leaflet layer.
+ * @param {LeafletMap} map The map to show the layer on, or null to remove it.
+ */
+function showLeafletLayer(layer, map) {
+  var leafletMap = map ? map._leaflet : null;
+  if (layer._map && layer._map != leafletMap) layer._map.removeLayer(layer);
+  if (leafletMap && layer._map != leafletMap) leafletMap.addLayer(layer);
+}
+
+/**
+ * LeafletPolyline
+ * A Leaflet polyline, as google.maps.Polyline. It is redrawn when its path
+ * changes.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The polyline options (see
+ *     `makePolylineOptions`).
+ */
+function LeafletPolyline(options) {
+  this._leaflet = L.polyline([], {clickable: false, interactive: false});
+  this._pathListeners = [];
+  this.setPath([]);
+  this.setValues(options);
+}
+
+LeafletPolyline.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(LeafletPolyline.prototype, ['map', 'path', 'visible']);
+
+/**
+ * @method {setPath}
+ * @param {!Array.<!MapsLatLng>|!MapsArray} path The path of the polyline.
+ */
+LeafletPolyline.prototype.setPath = function(path) {
+  this.set('path', path instanceof MapsArray ? path : new MapsArray(path));
+};
+
+LeafletPolyline.prototype.path_changed = function() {
+  this._pathListeners.forEach(MapsEvent.removeListener);
+  var redraw = this._redraw.bind(this);
+  this._pathListeners = ['insert_at', 'remove_at', 'set_at'].map(
+      function(eventName) {
+    return MapsEvent.addListener(this.path, eventName, redraw);
+  }, this);
+  this._redraw();
+};
+
+LeafletPolyline.prototype.map_changed = function() {
+  showLeafletLayer(this._leaflet, this.visible === false ? null : this.map);
+};
+
+LeafletPolyline.prototype.visible_changed =
+    LeafletPolyline.prototype.map_changed;
+
+LeafletPolyline.prototype.strokeColor_changed = function() {
+  this._restyle();
+};
+
+LeafletPolyline.prototype.strokeOpacity_changed =
+    LeafletPolyline.prototype.strokeColor_changed;
+
+LeafletPolyline.prototype.strokeWeight_changed =
+    LeafletPolyline.prototype.strokeColor_changed;
+
+LeafletPolyline.prototype.icons_changed =
+    LeafletPolyline.prototype.strokeColor_changed;
+
+/**
+ * @method {_redraw}
+ */
+LeafletPolyline.prototype._redraw = function() {
+  this._leaflet.setLatLngs(this.path.getArray().map(toLeafletLatLng));
+};
+
+/**
+ * Styles the Leaflet polyline. A line drawn by a repeated dash symbol (see
+ * `makePolylineOptions`) is drawn in the stroke of the symbol, dashed.
+ *
+ * @method {_restyle}
+ */
+LeafletPolyline.prototype._restyle = function() {
+  var style = {
+    color: this.strokeColor || '#000',
+    opacity: this.strokeOpacity == null ? 1 : this.strokeOpacity,
+    weight: this.strokeWeight == null ? 3 : this.strokeWeight,
+    dashArray: null
+  };
+  var dash = this.icons && this.icons[0];
+  if (dash && dash.icon && dash.repeat) {
+    style.color = dash.icon.strokeColor || style.color;
+    style.opacity = dash.icon.strokeOpacity == null ? 1 :
+        dash.icon.strokeOpacity;
+    style.weight = dash.icon.strokeWeight || style.weight;
+    var length = dash.icon.scale || 0;
+    var gap = parseFloat(dash.repeat) - length;
+    if (gap > 0) style.dashArray = length + ' ' + gap;
+  }
+  this._leaflet.setStyle(style);
+};
+
+/**
+ * LeafletPolygon
+ * A Leaflet polygon, as google.maps.Polygon. It is redrawn when its paths are
+ * set.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The polygon options.
+ */
+function LeafletPolygon(options) {
+  this._leaflet = L.polygon([], {clickable: false, interactive: false});
+  this.setPaths([]);
+  this.setValues(options);
+}
+
+LeafletPolygon.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(LeafletPolygon.prototype, ['map', 'paths', 'visible']);
+
+/**
+ * @method {setPaths}
+ * @param {!Array|!MapsArray} paths The paths of the polygon (see
+ *     `makeMapsPaths`).
+ */
+LeafletPolygon.prototype.setPaths = function(paths) {
+  this.set('paths', makeMapsPaths(paths));
+};
+
+LeafletPolygon.prototype.paths_changed = function() {
+  this._leaflet.setLatLngs(this.paths.getArray().map(function(path) {
+    return path.getArray().map(toLeafletLatLng);
+  }));
+};
+
+LeafletPolygon.prototype.map_changed = function() {
+  showLeafletLayer(this._leaflet, this.visible === false ? null : this.map);
+};
+
+LeafletPolygon.prototype.visible_changed =
+    LeafletPolygon.prototype.map_changed;
+
+LeafletPolygon.prototype.strokeColor_changed = function() {
+  this._leaflet.setStyle({
+    color: this.strokeColor || '#000',
+    opacity: this.strokeOpacity == null ? 1 : this.strokeOpacity,
+    weight: this.strokeWeight == null ? 3 : this.strokeWeight,
+    fillColor: this.fillColor || this.strokeColor || '#000',
+    fillOpacity: this.fillOpacity == null ? 0.3 : this.fillOpacity
+  });
+};
+
+LeafletPolygon.prototype.strokeOpacity_changed =
+    LeafletPolygon.prototype.strokeColor_changed;
+
+LeafletPolygon.prototype.strokeWeight_changed =
+    LeafletPolygon.prototype.strokeColor_changed;
+
+LeafletPolygon.prototype.fillColor_changed =
+    LeafletPolygon.prototype.strokeColor_changed;
+
+LeafletPolygon.prototype.fillOpacity_changed =
+    LeafletPolygon.prototype.strokeColor_changed;
+
+/**
+ * LeafletMarker
+ * A Leaflet marker, as google.maps.Marker. It triggers `click`.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The marker options.
+ */
+function LeafletMarker(options) {
+  var clickable = !options || options.clickable !== false;
+  this._leaflet = L.marker([0, 0], {
+    clickable: clickable,
+    interactive: clickable
+  });
+  this._leaflet.on('click', function() {
+    MapsEvent.trigger(this, 'click');
+  }, this);
+  this.setValues(options);
+}
+
+LeafletMarker.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(LeafletMarker.prototype, ['map', 'position', 'icon',
+    'label', 'opacity', 'zIndex', 'title', 'visible']);
+
+/**
+ * The highest zIndex of a marker.
+ */
+LeafletMarker.MAX_ZINDEX = 1000000;
+
+LeafletMarker.prototype.map_changed = function() {
+  var shown = this.position && this.visible !== false;
+  showLeafletLayer(this._leaflet, shown ? this.map : null);
+};
+
+LeafletMarker.prototype.visible_changed = LeafletMarker.prototype.map_changed;
+
+LeafletMarker.prototype.position_changed = function() {
+  if (this.position) this._leaflet.setLatLng(toLeafletLatLng(this.position));
+  this.map_changed();
+};
+
+LeafletMarker.prototype.icon_changed = function() {
+  this._leaflet.setIcon(makeLeafletIcon(this.icon, this.label));
+};
+
+LeafletMarker.prototype.label_changed = LeafletMarker.prototype.icon_changed;
+
+LeafletMarker.prototype.opacity_changed = function() {
+  this._leaflet.setOpacity(this.opacity == null ? 1 : this.opacity);
+};
+
+LeafletMarker.prototype.zIndex_changed = function() {
+  this._leaflet.setZIndexOffset(this.zIndex || 0);
+};
+
+/**
+ * Makes the Leaflet icon of a marker. Symbols are drawn in SVG.
+ *
+ * @method {makeLeafletIcon}
+ * @param {string|Object} icon The icon of the marker: an image URL, a
+ *     google.maps.Icon or a google.maps.Symbol. If null, Leaflet's own pin.
+ * @param {string|{text: string, color: string}} label (Optional) The label
+ *     of the marker.
+ * @returns {!L.Icon} The Leaflet icon.
+ */
+function makeLeafletIcon(icon, label) {
+  var text = label && (label.text != null ? label.text : label);
+  if (!icon && !text) return new L.Icon.Default();
+  if (!icon) icon = makeMarkerIcon('circle');
+  var html;
+  if (typeof icon == 'string' || icon.url) {
+    html = '<img src="' + escapeHtml(icon.url || icon) + '" alt="" ' +
+        'style="position: absolute; transform: translate(-50%, -100%);">';
+  } else {
+    html = makeSymbolSvg(icon);
+  }
+  if (text) {
+    html += '<span style="position: absolute; transform: translate(-50%, ' +
+        (typeof icon == 'string' || icon.url ? '-150%' : '-50%') + '); ' +
+        'font: bold 12px sans-serif; color: ' +
+        escapeHtml((label && label.color) || '#000') + ';">' +
+        escapeHtml(String(text)) + '</span>';
+  }
+  return L.divIcon({className: '', html: html, iconSize: [0, 0]});
+}
+
+/**
+ * @method {makeSymbolSvg}
+ * @param {!Object} symbol The google.maps.Symbol.
+ * @returns {string} The SVG of the symbol, centred on the marker's position.
+ */
+function makeSymbolSvg(symbol) {
+  var path = typeof symbol.path == 'number' ? SYMBOL_PATH_SVG[symbol.path] :
+      symbol.path;
+  var scale = symbol.scale || 1;
+  return '<svg width="64" height="64" style="position: absolute; ' +
+      'left: -32px; top: -32px; overflow: visible;">' +
+      '<path d="' + escapeHtml(path) + '" ' +
+      'transform="translate(32 32) rotate(' + (symbol.rotation || 0) + ') ' +
+      'scale(' + scale + ')" vector-effect="non-scaling-stroke" ' +
+      'fill="' + escapeHtml(symbol.fillColor || 'none') + '" ' +
+      'fill-opacity="' + (symbol.fillOpacity || 0) + '" ' +
+      'stroke="' + escapeHtml(symbol.strokeColor || '#000') + '" ' +
+      'stroke-opacity="' + (symbol.strokeOpacity == null ? 1 :
+          symbol.strokeOpacity) + '" ' +
+      'stroke-width="' + (symbol.strokeWeight == null ? 2 :
+          symbol.strokeWeight) + '"></path></svg>';
+}
+
+/**
+ * @method {escapeHtml}
+ * @param {string} text The text.
+ * @returns {string} The text, escaped for HTML (and its attributes).
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * LeafletInfoWindow
+ * A Leaflet popup, as google.maps.InfoWindow.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The info window options.
+ */
+function LeafletInfoWindow(options) {
+  this._leaflet = L.popup();
+  this.setValues(options);
+}
+
+LeafletInfoWindow.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(LeafletInfoWindow.prototype,
+    ['map', 'content', 'position']);
+
+LeafletInfoWindow.prototype.content_changed = function() {
+  this._leaflet.setContent(this.content || '');
+};
+
+/**
+ * Opens the info window on the map, at the anchor if it is given.
+ *
+ * @method {open}
+ * @param {!LeafletMap} map The map.
+ * @param {LeafletMarker} anchor (Optional) The marker to open the window at.
+ */
+LeafletInfoWindow.prototype.open = function(map, anchor) {
+  if (this.map && this.map != map) this.close();
+  if (anchor) this.setPosition(anchor.getPosition());
+  if (!this.position) return;
+  // Above the pin of the marker, or at the position.
+  this._leaflet.options.offset = L.point(0, anchor ? -34 : 7);
+  this._leaflet.setLatLng(toLeafletLatLng(this.position));
+  this.setMap(map);
+  map._leaflet.openPopup(this._leaflet);
+  map._leaflet.once('popupclose', function(event) {
+    if (event.popup == this._leaflet && this.map == map) this.setMap(null);
+  }, this);
+};
+
+/**
+ * @method {close}
+ */
+LeafletInfoWindow.prototype.close = function() {
+  var map = this.map;
+  this.setMap(null);
+  if (map) map._leaflet.closePopup(this._leaflet);
+};
+
+/**
+ * LeafletGeocoder
+ * A geocoder which sends requests to the Nominatim server of
+ * `LeafletDefaults.geocodeUrl`, as google.maps.Geocoder.
+ *
+ * @constructor
+ */
+function LeafletGeocoder() {}
+
+LeafletGeocoder.prototype = {
+
+  /**
+   * @method {geocode}
+   * @param {{address: string}} request The request.
+   * @param {function(Array, string)} callback The callback to invoke with the
+   *     results and the status (see `MapsGeocoderStatus`).
+   */
+  geocode: function(request, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', LeafletDefaults.geocodeUrl + '?format=json&limit=1&q=' +
+        encodeURIComponent(request.address || ''));
+    xhr.onload = function() {
+      if (xhr.status == 429) {
+        callback([], MapsGeocoderStatus.OVER_QUERY_LIMIT);
+        return;
+      }
+      var places;
+      try {
+        places = xhr.status == 200 ? JSON.parse(xhr.responseText) : null;
+      } catch (e) {
+        places = null;
+      }
+      if (!Array.isArray(places)) {
+        callback([], MapsGeocoderStatus.ERROR);
+        return;
+      }
+      callback(places.map(function(place) {
+        return {
+          formatted_address: place.display_name,
+          geometry: {location: new MapsLatLng(Number(place.lat),
+              Number(place.lon))}
+        };
+      }), places.length ? MapsGeocoderStatus.OK :
+          MapsGeocoderStatus.ZERO_RESULTS);
+    };
+    xhr.onerror = function() {
+      callback([], MapsGeocoderStatus.ERROR);
+    };
+    xhr.send();
+  }
+};
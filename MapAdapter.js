@@ -0,0 +1,975 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The map providers a storyboard can run on (see the storyboard's
+ * `mapProvider`):
+ *   - `GOOGLE`: Google Maps, loaded by google-maps-api. The default.
+ *   - `LEAFLET`: Leaflet, on any tile server (e.g. a self-hosted one). The
+ *     page loads Leaflet itself (see `LeafletMapAdapter.js`).
+ *   - `STUB`: an in-memory map which draws nothing, so the storyboard runs
+ *     without a map library (see `StubMapAdapter.js`).
+ */
+var MapProvider = {
+  GOOGLE: 'google',
+  LEAFLET: 'leaflet',
+  STUB: 'stub'
+};
+
+/**
+ * The map adapters, by provider (see `MapProvider`). The `api` of an adapter
+ * is the part of the google.maps API the storyboard relies on, provided by
+ * the map library:
+ *   - The camera: `Map` (getCenter, setCenter, panTo, getZoom, setZoom,
+ *     fitBounds, getBounds, getDiv, setOptions, the map type, heading and
+ *     tilt, and the `controls` by `ControlPosition`). The map triggers `idle`
+ *     once the camera has settled after a move, and listens for `resize`.
+ *   - Events: `event` (addListener, addListenerOnce, removeListener,
+ *     clearInstanceListeners and trigger), `MVCObject` and `MVCArray`.
+ *   - Overlays: `Polyline`, `Polygon`, `Marker` (which triggers `click`),
+ *     `SymbolPath`, `InfoWindow` (the info panel of the content), and the
+ *     `TrafficLayer`, `TransitLayer` and `BicyclingLayer`.
+ *   - Geometry: `LatLng`, `LatLngBounds`, `geometry.spherical` and
+ *     `geometry.encoding`.
+ *   - Geocoding: `Geocoder` and `GeocoderStatus`.
+ * The google.maps types in the docs of the storyboard are those of the
+ * adapter in use. Adapters other than Google's build their `api` with
+ * `makeMapsApi`.
+ */
+var MapAdapters = {};
+
+MapAdapters[MapProvider.GOOGLE] = {
+  get api() {
+    return window.google && google.maps;
+  }
+};
+
+/**
+ * The map adapter in use. All the storyboards of a page run on the same
+ * provider.
+ */
+var MapAdapter = {
+
+  /**
+   * The provider of the adapter in use (see `setMapProvider`).
+   *
+   * @property {provider}
+   * @type {string}
+   * @default {MapProvider.GOOGLE}
+   */
+  provider: MapProvider.GOOGLE,
+
+  /**
+   * @returns {Object} The maps API of the adapter in use (see `MapAdapters`):
+   *     google.maps, or its counterpart.
+   */
+  get api() {
+    return MapAdapters[this.provider].api;
+  }
+};
+
+/**
+ * @method {setMapProvider}
+ * @param {string} provider The provider of the adapter to use (see
+ *     `MapProvider`).
+ * @throws {Error} If there is no adapter for the provider.
+ */
+function setMapProvider(provider) {
+  if (!MapAdapters.hasOwnProperty(provider)) {
+    throw new Error('There is no map adapter for the provider ' + provider +
+        '.');
+  }
+  MapAdapter.provider = provider;
+}
+
+/**
+ * Makes the maps API of an adapter: the events, geometry and constants below,
+ * with the adapter's own classes.
+ *
+ * @method {makeMapsApi}
+ * @param {!Object} classes The adapter's `Map`, `Polyline`, `Polygon`,
+ *     `Marker`, `InfoWindow` and `Geocoder`.
+ * @returns {!Object} The maps API.
+ */
+function makeMapsApi(classes) {
+  var api = {
+    event: MapsEvent,
+    MVCObject: MapsObject,
+    MVCArray: MapsArray,
+    LatLng: MapsLatLng,
+    LatLngBounds: MapsLatLngBounds,
+    geometry: {
+      spherical: MapsSpherical,
+      encoding: MapsEncoding
+    },
+    ControlPosition: MapsControlPosition,
+    SymbolPath: MapsSymbolPath,
+    GeocoderStatus: MapsGeocoderStatus,
+    TrafficLayer: MapsLayer,
+    TransitLayer: MapsLayer,
+    BicyclingLayer: MapsLayer
+  };
+  for (var name in classes) {
+    api[name] = classes[name];
+  }
+  return api;
+}
+
+/**
+ * The events of the adapters' objects, as google.maps.event. A listener is
+ * called with the object as `this`, and the arguments of the trigger.
+ */
+var MapsEvent = {
+
+  /**
+   * @method {addListener}
+   * @param {!Object} instance The object to listen to.
+   * @param {string} eventName The name of the event.
+   * @param {!Function} handler The handler of the event.
+   * @returns {!Object} The listener (which can be `remove`d).
+   */
+  addListener: function(instance, eventName, handler) {
+    var listeners = getMapsListeners(instance);
+    var listener = {
+      instance: instance,
+      eventName: eventName,
+      handler: handler,
+      remove: function() {
+        MapsEvent.removeListener(this);
+      }
+    };
+    (listeners[eventName] = listeners[eventName] || []).push(listener);
+    return listener;
+  },
+
+  /**
+   * @method {addListenerOnce}
+   * @param {!Object} instance The object to listen to.
+   * @param {string} eventName The name of the event.
+   * @param {!Function} handler The handler of the next event.
+   * @returns {!Object} The listener, removed once it has been called.
+   */
+  addListenerOnce: function(instance, eventName, handler) {
+    var listener = MapsEvent.addListener(instance, eventName, function() {
+      MapsEvent.removeListener(listener);
+      return handler.apply(this, arguments);
+    });
+    return listener;
+  },
+
+  /**
+   * @method {removeListener}
+   * @param {Object} listener The listener to remove. Nothing is done if it is
+   *     null.
+   */
+  removeListener: function(listener) {
+    if (!listener) return;
+    var listeners = getMapsListeners(listener.instance)[listener.eventName];
+    var index = listeners ? listeners.indexOf(listener) : -1;
+    if (index >= 0) listeners.splice(index, 1);
+  },
+
+  /**
+   * @method {clearInstanceListeners}
+   * @param {!Object} instance The object to remove all the listeners of.
+   */
+  clearInstanceListeners: function(instance) {
+    var listeners = getMapsListeners(instance);
+    for (var eventName in listeners) {
+      delete listeners[eventName];
+    }
+  },
+
+  /**
+   * @method {trigger}
+   * @param {!Object} instance The object the event is on.
+   * @param {string} eventName The name of the event.
+   * @param {...*} var_args The arguments passed to the listeners.
+   */
+  trigger: function(instance, eventName, var_args) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    var listeners = getMapsListeners(instance)[eventName] || [];
+    // A listener may remove others (or itself) as it runs.
+    listeners.slice().forEach(function(listener) {
+      if (listeners.indexOf(listener) >= 0) {
+        listener.handler.apply(instance, args);
+      }
+    });
+  }
+};
+
+/**
+ * @method {getMapsListeners}
+ * @param {!Object} instance An object with events.
+ * @returns {!Object} The lists of the object's listeners, by event name.
+ */
+function getMapsListeners(instance) {
+  if (!instance.hasOwnProperty('__mapsListeners')) {
+    Object.defineProperty(instance, '__mapsListeners', {value: {}});
+  }
+  return instance.__mapsListeners;
+}
+
+/**
+ * MapsObject
+ * The base of the adapters' objects, as google.maps.MVCObject: its
+ * properties are kept on the object. Setting one calls the object's
+ * `<key>_changed` method, if it has one, and triggers `<key>_changed`.
+ *
+ * @constructor
+ */
+function MapsObject() {}
+
+MapsObject.prototype = {
+
+  /**
+   * @method {get}
+   * @param {string} key The name of the property.
+   * @returns {*} The value of the property.
+   */
+  get: function(key) {
+    return this[key];
+  },
+
+  /**
+   * @method {set}
+   * @param {string} key The name of the property.
+   * @param {*} value The value of the property.
+   */
+  set: function(key, value) {
+    this[key] = value;
+    if (typeof this[key + '_changed'] == 'function') this[key + '_changed']();
+    MapsEvent.trigger(this, key.toLowerCase() + '_changed');
+  },
+
+  /**
+   * Sets the properties, through their setters where there are some (e.g.
+   * `setPath`).
+   *
+   * @method {setValues}
+   * @param {Object} values The values of the properties, by name.
+   */
+  setValues: function(values) {
+    for (var key in values) {
+      var setter = this['set' + key.charAt(0).toUpperCase() + key.substr(1)];
+      if (typeof setter == 'function') {
+        setter.call(this, values[key]);
+      } else {
+        this.set(key, values[key]);
+      }
+    }
+  },
+
+  /**
+   * @method {setOptions}
+   * @param {Object} options The options (see `setValues`).
+   */
+  setOptions: function(options) {
+    this.setValues(options);
+  }
+};
+
+/**
+ * Adds a getter and a setter (e.g. `getMap` and `setMap`) for each of the
+ * properties to the prototype of a MapsObject.
+ *
+ * @method {defineMapsAccessors}
+ * @param {!Object} prototype The prototype.
+ * @param {!Array.<string>} keys The names of the properties.
+ */
+function defineMapsAccessors(prototype, keys) {
+  keys.forEach(function(key) {
+    var name = key.charAt(0).toUpperCase() + key.substr(1);
+    if (!prototype.hasOwnProperty('get' + name)) {
+      prototype['get' + name] = function() {
+        return this.get(key);
+      };
+    }
+    if (!prototype.hasOwnProperty('set' + name)) {
+      prototype['set' + name] = function(value) {
+        this.set(key, value);
+      };
+    }
+  });
+}
+
+/**
+ * MapsArray
+ * An array with events, as google.maps.MVCArray: it triggers `insert_at`,
+ * `remove_at` (with the element removed) and `set_at` (with the element
+ * replaced), with the index of the change.
+ *
+ * @constructor
+ * @param {Array} array (Optional) The elements of the array.
+ */
+function MapsArray(array) {
+  this._array = (array || []).slice();
+  this.set('length', this._array.length);
+}
+
+MapsArray.prototype = Object.create(MapsObject.prototype);
+
+/**
+ * @method {getArray}
+ * @returns {!Array} The elements (not a copy).
+ */
+MapsArray.prototype.getArray = function() {
+  return this._array;
+};
+
+/**
+ * @method {getLength}
+ * @returns {number} The number of elements.
+ */
+MapsArray.prototype.getLength = function() {
+  return this._array.length;
+};
+
+/**
+ * @method {getAt}
+ * @param {number} index The index of the element.
+ * @returns {*} The element.
+ */
+MapsArray.prototype.getAt = function(index) {
+  return this._array[index];
+};
+
+/**
+ * @method {setAt}
+ * @param {number} index The index of the element.
+ * @param {*} element The element to put there.
+ */
+MapsArray.prototype.setAt = function(index, element) {
+  if (index >= this._array.length) {
+    this.insertAt(index, element);
+    return;
+  }
+  var previous = this._array[index];
+  this._array[index] = element;
+  MapsEvent.trigger(this, 'set_at', index, previous);
+};
+
+/**
+ * @method {insertAt}
+ * @param {number} index The index to insert the element at.
+ * @param {*} element The element.
+ */
+MapsArray.prototype.insertAt = function(index, element) {
+  this._array.splice(index, 0, element);
+  this.set('length', this._array.length);
+  MapsEvent.trigger(this, 'insert_at', index);
+};
+
+/**
+ * @method {removeAt}
+ * @param {number} index The index of the element.
+ * @returns {*} The element removed.
+ */
+MapsArray.prototype.removeAt = function(index) {
+  var element = this._array.splice(index, 1)[0];
+  this.set('length', this._array.length);
+  MapsEvent.trigger(this, 'remove_at', index, element);
+  return element;
+};
+
+/**
+ * @method {push}
+ * @param {*} element The element to add to the end.
+ * @returns {number} The number of elements.
+ */
+MapsArray.prototype.push = function(element) {
+  this.insertAt(this._array.length, element);
+  return this._array.length;
+};
+
+/**
+ * @method {pop}
+ * @returns {*} The last element, removed.
+ */
+MapsArray.prototype.pop = function() {
+  return this.removeAt(this._array.length - 1);
+};
+
+/**
+ * @method {clear}
+ */
+MapsArray.prototype.clear = function() {
+  while (this._array.length) this.pop();
+};
+
+/**
+ * @method {forEach}
+ * @param {function(*, number)} callback Called with each element and its
+ *     index.
+ */
+MapsArray.prototype.forEach = function(callback) {
+  for (var i = 0; i < this._array.length; ++i) {
+    callback(this._array[i], i);
+  }
+};
+
+/**
+ * @method {indexOf}
+ * @param {*} element The element to find.
+ * @returns {number} The index of the element, or -1.
+ */
+MapsArray.prototype.indexOf = function(element) {
+  return this._array.indexOf(element);
+};
+
+/**
+ * Makes the paths of a polygon, as google.maps.Polygon.setPaths takes them.
+ *
+ * @method {makeMapsPaths}
+ * @param {!Array|!MapsArray} paths A path, or an array of paths. A path is an
+ *     array (or MapsArray) of MapsLatLngs.
+ * @returns {!MapsArray.<!MapsArray.<!MapsLatLng>>} The paths.
+ */
+function makeMapsPaths(paths) {
+  if (paths instanceof MapsArray) paths = paths.getArray();
+  var first = paths[0];
+  if (first && !Array.isArray(first) && !(first instanceof MapsArray)) {
+    paths = [paths];  // A single path.
+  }
+  return new MapsArray(paths.map(function(path) {
+    return path instanceof MapsArray ? path : new MapsArray(path);
+  }));
+}
+
+/**
+ * MapsLatLng
+ * A point, as google.maps.LatLng. The latitude is clamped to [-90, 90], and
+ * the longitude wrapped to [-180, 180), unless `noWrap` is set.
+ *
+ * @constructor
+ * @param {number|{lat: number, lng: number}} lat The latitude in degrees, or
+ *     the literal of the point.
+ * @param {number} lng The longitude in degrees.
+ * @param {boolean} noWrap (Optional) If true, the coordinates are kept as
+ *     given.
+ */
+function MapsLatLng(lat, lng, noWrap) {
+  if (lat && typeof lat == 'object') {
+    noWrap = lng;
+    lng = lat.lng;
+    lat = lat.lat;
+  }
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!noWrap) {
+    lat = Math.max(-90, Math.min(90, lat));
+    if (lng < -180 || lng >= 180) {
+      lng = ((lng + 180) % 360 + 360) % 360 - 180;
+    }
+  }
+  this._lat = lat;
+  this._lng = lng;
+}
+
+MapsLatLng.prototype = {
+
+  /**
+   * @method {lat}
+   * @returns {number} The latitude in degrees.
+   */
+  lat: function() {
+    return this._lat;
+  },
+
+  /**
+   * @method {lng}
+   * @returns {number} The longitude in degrees.
+   */
+  lng: function() {
+    return this._lng;
+  },
+
+  /**
+   * @method {equals}
+   * @param {MapsLatLng} other The point to compare with.
+   * @returns {boolean} True if the points are the same (to 1e-9 degrees).
+   */
+  equals: function(other) {
+    return !!other && Math.abs(this._lat - other.lat()) <= 1e-9 &&
+        Math.abs(this._lng - other.lng()) <= 1e-9;
+  },
+
+  /**
+   * @method {toUrlValue}
+   * @param {number} precision (Optional) The number of decimals. Defaults to
+   *     6.
+   * @returns {string} The point as `lat,lng`.
+   */
+  toUrlValue: function(precision) {
+    var factor = Math.pow(10, precision == null ? 6 : precision);
+    return Math.round(this._lat * factor) / factor + ',' +
+        Math.round(this._lng * factor) / factor;
+  },
+
+  /**
+   * @method {toJSON}
+   * @returns {{lat: number, lng: number}} The literal of the point.
+   */
+  toJSON: function() {
+    return {lat: this._lat, lng: this._lng};
+  },
+
+  toString: function() {
+    return '(' + this._lat + ', ' + this._lng + ')';
+  }
+};
+
+/**
+ * MapsLatLngBounds
+ * A rectangle of latitudes and longitudes, as google.maps.LatLngBounds.
+ * (Bounds across the antimeridian are not supported: they span the longitudes
+ * between their points the long way round.)
+ *
+ * @constructor
+ * @param {MapsLatLng} southWest (Optional) The south west corner.
+ * @param {MapsLatLng} northEast (Optional) The north east corner.
+ */
+function MapsLatLngBounds(southWest, northEast) {
+  if (southWest) this.extend(southWest);
+  if (northEast) this.extend(northEast);
+}
+
+MapsLatLngBounds.prototype = {
+
+  /**
+   * The southern edge of the bounds in degrees. Null while the bounds are
+   * empty.
+   *
+   * @property {_south}
+   * @type {number}
+   * @default {null}
+   */
+  _south: null,
+
+  /**
+   * The western edge of the bounds in degrees.
+   *
+   * @property {_west}
+   * @type {number}
+   * @default {null}
+   */
+  _west: null,
+
+  /**
+   * The northern edge of the bounds in degrees.
+   *
+   * @property {_north}
+   * @type {number}
+   * @default {null}
+   */
+  _north: null,
+
+  /**
+   * The eastern edge of the bounds in degrees.
+   *
+   * @property {_east}
+   * @type {number}
+   * @default {null}
+   */
+  _east: null,
+
+  /**
+   * @method {extend}
+   * @param {!MapsLatLng} point The point to include in the bounds.
+   * @returns {!MapsLatLngBounds} The bounds.
+   */
+  extend: function(point) {
+    if (this.isEmpty()) {
+      this._south = this._north = point.lat();
+      this._west = this._east = point.lng();
+    } else {
+      this._south = Math.min(this._south, point.lat());
+      this._north = Math.max(this._north, point.lat());
+      this._west = Math.min(this._west, point.lng());
+      this._east = Math.max(this._east, point.lng());
+    }
+    return this;
+  },
+
+  /**
+   * @method {union}
+   * @param {!MapsLatLngBounds} other The bounds to include in the bounds.
+   * @returns {!MapsLatLngBounds} The bounds.
+   */
+  union: function(other) {
+    if (!other.isEmpty()) {
+      this.extend(other.getSouthWest());
+      this.extend(other.getNorthEast());
+    }
+    return this;
+  },
+
+  /**
+   * @method {contains}
+   * @param {!MapsLatLng} point The point.
+   * @returns {boolean} True if the point is in the bounds.
+   */
+  contains: function(point) {
+    return !this.isEmpty() &&
+        point.lat() >= this._south && point.lat() <= this._north &&
+        point.lng() >= this._west && point.lng() <= this._east;
+  },
+
+  /**
+   * @method {isEmpty}
+   * @returns {boolean} True if the bounds have no points.
+   */
+  isEmpty: function() {
+    return this._south == null;
+  },
+
+  /**
+   * @method {getCenter}
+   * @returns {MapsLatLng} The centre of the bounds.
+   */
+  getCenter: function() {
+    if (this.isEmpty()) return new MapsLatLng(0, 0);
+    return new MapsLatLng((this._south + this._north) / 2,
+        (this._west + this._east) / 2);
+  },
+
+  /**
+   * @method {getSouthWest}
+   * @returns {MapsLatLng} The south west corner.
+   */
+  getSouthWest: function() {
+    return this.isEmpty() ? null : new MapsLatLng(this._south, this._west);
+  },
+
+  /**
+   * @method {getNorthEast}
+   * @returns {MapsLatLng} The north east corner.
+   */
+  getNorthEast: function() {
+    return this.isEmpty() ? null : new MapsLatLng(this._north, this._east);
+  },
+
+  /**
+   * @method {toSpan}
+   * @returns {!MapsLatLng} The height and width of the bounds in degrees.
+   */
+  toSpan: function() {
+    if (this.isEmpty()) return new MapsLatLng(0, 0);
+    return new MapsLatLng(this._north - this._south, this._east - this._west,
+        true);
+  },
+
+  /**
+   * @method {equals}
+   * @param {MapsLatLngBounds} other The bounds to compare with.
+   * @returns {boolean} True if the bounds are the same.
+   */
+  equals: function(other) {
+    if (!other) return false;
+    if (this.isEmpty() || other.isEmpty()) {
+      return this.isEmpty() && other.isEmpty();
+    }
+    return this.getSouthWest().equals(other.getSouthWest()) &&
+        this.getNorthEast().equals(other.getNorthEast());
+  }
+};
+
+/**
+ * The spherical geometry of the adapters, as google.maps.geometry.spherical.
+ * Distances are in metres, on a sphere of the Earth's radius, and headings in
+ * degrees clockwise from north.
+ */
+var MapsSpherical = {
+
+  /**
+   * The radius of the Earth in metres (as Google Maps has it).
+   */
+  EARTH_RADIUS: 6378137,
+
+  /**
+   * @method {computeDistanceBetween}
+   * @param {!MapsLatLng} from The first point.
+   * @param {!MapsLatLng} to The second point.
+   * @param {number} radius (Optional) The radius of the sphere.
+   * @returns {number} The great circle distance between the points.
+   */
+  computeDistanceBetween: function(from, to, radius) {
+    return getAngleBetween(from, to) * (radius || MapsSpherical.EARTH_RADIUS);
+  },
+
+  /**
+   * @method {computeHeading}
+   * @param {!MapsLatLng} from The start point.
+   * @param {!MapsLatLng} to The end point.
+   * @returns {number} The heading at the start of the great circle from one
+   *     point to the other, in [-180, 180).
+   */
+  computeHeading: function(from, to) {
+    var lat1 = toRadians(from.lat());
+    var lat2 = toRadians(to.lat());
+    var dLng = toRadians(to.lng() - from.lng());
+    var heading = toDegrees(Math.atan2(Math.sin(dLng) * Math.cos(lat2),
+        Math.cos(lat1) * Math.sin(lat2) -
+        Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)));
+    return heading >= 180 ? heading - 360 : heading;
+  },
+
+  /**
+   * @method {computeLength}
+   * @param {!Array.<!MapsLatLng>|!MapsArray} path The path.
+   * @param {number} radius (Optional) The radius of the sphere.
+   * @returns {number} The length of the path.
+   */
+  computeLength: function(path, radius) {
+    var points = path.getArray ? path.getArray() : path;
+    var length = 0;
+    for (var i = 1; i < points.length; ++i) {
+      length += MapsSpherical.computeDistanceBetween(points[i - 1], points[i],
+          radius);
+    }
+    return length;
+  },
+
+  /**
+   * @method {interpolate}
+   * @param {!MapsLatLng} from The start point.
+   * @param {!MapsLatLng} to The end point.
+   * @param {number} fraction The fraction [0, 1] of the way along.
+   * @returns {!MapsLatLng} The point that fraction of the way along the great
+   *     circle from one point to the other.
+   */
+  interpolate: function(from, to, fraction) {
+    var angle = getAngleBetween(from, to);
+    if (angle < 1e-12) {
+      return new MapsLatLng(from.lat() + (to.lat() - from.lat()) * fraction,
+          from.lng() + (to.lng() - from.lng()) * fraction);
+    }
+    var a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    var b = Math.sin(fraction * angle) / Math.sin(angle);
+    var p = toVector(from);
+    var q = toVector(to);
+    var x = a * p[0] + b * q[0];
+    var y = a * p[1] + b * q[1];
+    var z = a * p[2] + b * q[2];
+    return new MapsLatLng(toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+        toDegrees(Math.atan2(y, x)));
+  }
+};
+
+/**
+ * @method {getAngleBetween}
+ * @param {!MapsLatLng} from The first point.
+ * @param {!MapsLatLng} to The second point.
+ * @returns {number} The angle in radians between the points, at the centre
+ *     of the Earth (by the haversine formula).
+ */
+function getAngleBetween(from, to) {
+  var lat1 = toRadians(from.lat());
+  var lat2 = toRadians(to.lat());
+  var sinLat = Math.sin((lat2 - lat1) / 2);
+  var sinLng = Math.sin(toRadians(to.lng() - from.lng()) / 2);
+  var h = sinLat * sinLat + Math.cos(lat1) * Math.cos(lat2) * sinLng * sinLng;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * @method {toVector}
+ * @param {!MapsLatLng} point The point.
+ * @returns {!Array.<number>} The unit vector of the point from the centre of
+ *     the Earth.
+ */
+function toVector(point) {
+  var lat = toRadians(point.lat());
+  var lng = toRadians(point.lng());
+  return [Math.cos(lat) * Math.cos(lng), Math.cos(lat) * Math.sin(lng),
+      Math.sin(lat)];
+}
+
+/**
+ * @method {toRadians}
+ * @param {number} degrees An angle in degrees.
+ * @returns {number} The angle in radians.
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * @method {toDegrees}
+ * @param {number} radians An angle in radians.
+ * @returns {number} The angle in degrees.
+ */
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+/**
+ * The polyline encoding of the adapters, as google.maps.geometry.encoding.
+ */
+var MapsEncoding = {
+
+  /**
+   * @method {decodePath}
+   * @param {string} encoded The
+   *     [encoded polyline](https://developers.google.com/maps/documentation/utilities/polylinealgorithm).
+   * @returns {!Array.<!MapsLatLng>} The points of the path.
+   */
+  decodePath: function(encoded) {
+    var path = [];
+    var index = 0;
+    var lat = 0;
+    var lng = 0;
+    // Reads the next signed value of the encoding.
+    function next() {
+      var result = 0;
+      var shift = 0;
+      var chunk;
+      do {
+        chunk = encoded.charCodeAt(index++) - 63;
+        result |= (chunk & 0x1f) << shift;
+        shift += 5;
+      } while (chunk >= 0x20 && index < encoded.length);
+      return (result & 1) ? ~(result >> 1) : result >> 1;
+    }
+    while (index < encoded.length) {
+      lat += next();
+      lng += next();
+      path.push(new MapsLatLng(lat / 1e5, lng / 1e5));
+    }
+    return path;
+  }
+};
+
+/**
+ * The positions of the map controls, as google.maps.ControlPosition.
+ */
+var MapsControlPosition = {
+  TOP_LEFT: 1,
+  TOP_CENTER: 2,
+  TOP_RIGHT: 3,
+  LEFT_CENTER: 4,
+  RIGHT_CENTER: 8,
+  BOTTOM_LEFT: 10,
+  BOTTOM_CENTER: 11,
+  BOTTOM_RIGHT: 12
+};
+
+/**
+ * The CSS which places the container of the controls at each position (see
+ * `MapsControlPosition`).
+ */
+var CONTROL_POSITION_STYLES = {
+  1: 'top: 0; left: 0;',
+  2: 'top: 0; left: 50%; transform: translateX(-50%);',
+  3: 'top: 0; right: 0;',
+  4: 'top: 50%; left: 0; transform: translateY(-50%);',
+  8: 'top: 50%; right: 0; transform: translateY(-50%);',
+  10: 'bottom: 0; left: 0;',
+  11: 'bottom: 0; left: 50%; transform: translateX(-50%);',
+  12: 'bottom: 0; right: 0;'
+};
+
+/**
+ * Makes the `controls` of a map: an array of elements for each position (see
+ * `MapsControlPosition`). The elements are shown in a container at their
+ * position, on top of the map.
+ *
+ * @method {makeMapControls}
+ * @param {Element} container (Optional) The element of the map. If null, the
+ *     controls are not shown.
+ * @returns {!Object.<number, !MapsArray>} The controls, by position.
+ */
+function makeMapControls(container) {
+  var controls = {};
+  Object.keys(CONTROL_POSITION_STYLES).forEach(function(position) {
+    var elements = controls[position] = new MapsArray();
+    if (!container) return;
+    var box = document.createElement('div');
+    box.style.cssText = 'position: absolute; z-index: 1000; ' +
+        CONTROL_POSITION_STYLES[position];
+    container.appendChild(box);
+    MapsEvent.addListener(elements, 'insert_at', function(index) {
+      box.insertBefore(elements.getAt(index), box.children[index] || null);
+    });
+    MapsEvent.addListener(elements, 'remove_at', function(index, element) {
+      if (element.parentNode == box) box.removeChild(element);
+    });
+  });
+  return controls;
+}
+
+/**
+ * Triggers `idle` on the map once the current task is done (once, however
+ * many moves are made in the meantime), as Google Maps does once the camera
+ * has settled.
+ *
+ * @method {scheduleMapIdle}
+ * @param {!MapsObject} map The map.
+ */
+function scheduleMapIdle(map) {
+  if (map._idleTimeoutId) return;
+  map._idleTimeoutId = window.setTimeout(function() {
+    map._idleTimeoutId = 0;
+    MapsEvent.trigger(map, 'idle');
+  }, 0);
+}
+
+/**
+ * The paths of symbols, as google.maps.SymbolPath.
+ */
+var MapsSymbolPath = {
+  CIRCLE: 0,
+  FORWARD_CLOSED_ARROW: 1,
+  FORWARD_OPEN_ARROW: 2,
+  BACKWARD_CLOSED_ARROW: 3,
+  BACKWARD_OPEN_ARROW: 4
+};
+
+/**
+ * The SVG paths of the symbol paths (see `MapsSymbolPath`), centred on
+ * (0, 0) at a scale of 1, for adapters which draw symbols themselves.
+ */
+var SYMBOL_PATH_SVG = {
+  0: 'M -1,0 A 1,1 0 1 1 1,0 A 1,1 0 1 1 -1,0 Z',
+  1: 'M 0,-1.5 L 1.5,1.5 L -1.5,1.5 Z',
+  2: 'M -1.5,1.5 L 0,-1.5 L 1.5,1.5',
+  3: 'M 0,1.5 L 1.5,-1.5 L -1.5,-1.5 Z',
+  4: 'M -1.5,-1.5 L 0,1.5 L 1.5,-1.5'
+};
+
+/**
+ * The statuses of the adapters' geocoders, as google.maps.GeocoderStatus.
+ */
+var MapsGeocoderStatus = {
+  OK: 'OK',
+  ZERO_RESULTS: 'ZERO_RESULTS',
+  OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+  REQUEST_DENIED: 'REQUEST_DENIED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+  ERROR: 'ERROR'
+};
+
+/**
+ * MapsLayer
+ * A layer the adapter does not draw (e.g. traffic): it can be put on a map,
+ * but shows nothing.
+ *
+ * @constructor
+ */
+function MapsLayer() {}
+
+MapsLayer.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(MapsLayer.prototype, ['map']);
@@ -0,0 +1,286 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The areas of scenes (see the `bounds`, `polygon` and `geometry` of
+ * google-map-scene). An area is an array of polygons, each an array of rings
+ * (its outline, then any holes in it), each an array of coordinates
+ * `{lat: number, lng: number}`.
+ *
+ * The default style of the highlight of an area. An area style has:
+ *   - `color` {string} The colour of the outline.
+ *   - `weight` {number} The width of the outline in pixels.
+ *   - `opacity` {number} The opacity of the outline [0, 1].
+ *   - `fillColor` {string} The colour of the inside.
+ *   - `fillOpacity` {number} The opacity of the inside [0, 1].
+ */
+var AreaStyle = {
+  color: '#1565c0',
+  weight: 2,
+  opacity: 0.8,
+  fillColor: '#1565c0',
+  fillOpacity: 0.15
+};
+
+/**
+ * Merges the area styles given. Properties which are undefined or null in a
+ * style are taken from the styles before it.
+ *
+ * @method {mergeAreaStyles}
+ * @param {...(Object|string)} var_styles The area styles, or their JSON, in
+ *     increasing precedence.
+ * @returns {!Object} The merged area style.
+ */
+function mergeAreaStyles(var_styles) {
+  var merged = {};
+  for (var i = 0; i < arguments.length; ++i) {
+    var style = parseAreaJson(arguments[i]) || {};
+    for (var key in style) {
+      if (style[key] != null) merged[key] = style[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Makes the options of the polygon highlighting an area.
+ *
+ * @method {makeAreaOptions}
+ * @param {!Object} style The area style (see `AreaStyle`).
+ * @returns {!google.maps.PolygonOptions} The options of the polygon.
+ */
+function makeAreaOptions(style) {
+  return {
+    strokeColor: style.color,
+    strokeWeight: style.weight,
+    strokeOpacity: style.opacity,
+    fillColor: style.fillColor,
+    fillOpacity: style.fillOpacity,
+    clickable: false
+  };
+}
+
+/**
+ * @method {parseAreaJson}
+ * @param {string|Object} value The value, or its JSON (single quotes can
+ *     delimit its keys and strings, as in an attribute).
+ * @returns {*} The value, or null if there is none or it is not valid JSON.
+ */
+function parseAreaJson(value) {
+  if (typeof value != 'string') return value == null ? null : value;
+  try {
+    // Only the single quotes next to a delimiter are JSON's quotes.
+    return JSON.parse(value.replace(/([{\[,:]\s*)'|'(?=\s*[:,}\]])/g, '$1"'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @method {parseAreaBounds}
+ * @param {string|Object} bounds The bounds: `south,west,north,east` (in
+ *     degrees), or `{south, west, north, east}` or its JSON. The bounds can
+ *     cross the antimeridian (east of less than west).
+ * @returns {Array} The area of the bounds, or null if they are not valid.
+ */
+function parseAreaBounds(bounds) {
+  if (typeof bounds == 'string' && !/^\s*\{/.test(bounds)) {
+    var values = bounds.split(',');
+    bounds = {south: values[0], west: values[1], north: values[2],
+        east: values[3]};
+  } else {
+    bounds = parseAreaJson(bounds);
+  }
+  if (!bounds || typeof bounds != 'object') return null;
+  var south = parseFloat(bounds.south);
+  var west = parseFloat(bounds.west);
+  var north = parseFloat(bounds.north);
+  var east = parseFloat(bounds.east);
+  if (!isValidLatLng(south, west) || !isValidLatLng(north, east) ||
+      south > north) {
+    return null;
+  }
+  if (east < west) east += 360;
+  return [[[
+    {lat: south, lng: west},
+    {lat: north, lng: west},
+    {lat: north, lng: east},
+    {lat: south, lng: east}
+  ]]];
+}
+
+/**
+ * @method {parseAreaPolygon}
+ * @param {string|Array} polygon The vertices of the polygon: `lat,lng` pairs
+ *     separated by spaces or semicolons, or an array of `[lat, lng]` (or its
+ *     JSON).
+ * @returns {Array} The area of the polygon, or null if it has fewer than 3
+ *     valid vertices.
+ */
+function parseAreaPolygon(polygon) {
+  if (typeof polygon == 'string' && !/^\s*\[/.test(polygon)) {
+    polygon = polygon.trim().split(/\s*;\s*|\s+/).map(function(pair) {
+      return pair.split(',');
+    });
+  } else {
+    polygon = parseAreaJson(polygon);
+  }
+  if (!Array.isArray(polygon)) return null;
+  var ring = parseRing(polygon, false);
+  return ring ? [[ring]] : null;
+}
+
+/**
+ * @method {parseAreaGeometry}
+ * @param {string|Object} geometry A GeoJSON Polygon or MultiPolygon (or a
+ *     Feature of one), or its JSON.
+ * @returns {Array} The area of the geometry, or null if it is not a valid
+ *     Polygon or MultiPolygon.
+ */
+function parseAreaGeometry(geometry) {
+  geometry = parseAreaJson(geometry);
+  if (geometry && geometry.type == 'Feature') geometry = geometry.geometry;
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+  var polygons = geometry.type == 'Polygon' ? [geometry.coordinates] :
+      geometry.type == 'MultiPolygon' ? geometry.coordinates : [];
+  var area = [];
+  for (var i = 0; i < polygons.length; ++i) {
+    var rings = Array.isArray(polygons[i]) ? polygons[i].map(function(ring) {
+      return Array.isArray(ring) ? parseRing(ring, true) : null;
+    }) : [];
+    if (!rings.length || rings.indexOf(null) >= 0) return null;
+    area.push(rings);
+  }
+  return area.length ? area : null;
+}
+
+/**
+ * @method {parseRing}
+ * @param {!Array.<Array>} positions The positions of the ring's vertices.
+ * @param {boolean} lngFirst If true, the positions are `[lng, lat]` (as in
+ *     GeoJSON), else `[lat, lng]`.
+ * @returns {Array.<{lat: number, lng: number}>} The vertices of the ring,
+ *     without the closing vertex, or null if there are fewer than 3 or one is
+ *     not valid.
+ */
+function parseRing(positions, lngFirst) {
+  var ring = [];
+  for (var i = 0; i < positions.length; ++i) {
+    var position = positions[i];
+    if (!Array.isArray(position)) return null;
+    var lat = parseFloat(position[lngFirst ? 1 : 0]);
+    var lng = parseFloat(position[lngFirst ? 0 : 1]);
+    if (!isValidLatLng(lat, lng)) return null;
+    ring.push({lat: lat, lng: lng});
+  }
+  var first = ring[0];
+  var last = ring[ring.length - 1];
+  if (ring.length > 1 && first.lat == last.lat && first.lng == last.lng) {
+    ring.pop();
+  }
+  return ring.length >= 3 ? ring : null;
+}
+
+/**
+ * @method {isValidLatLng}
+ * @param {number} lat The latitude.
+ * @param {number} lng The longitude.
+ * @returns {boolean} True if the coordinates are numbers, and the latitude is
+ *     in [-90, 90].
+ */
+function isValidLatLng(lat, lng) {
+  return isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90;
+}
+
+/**
+ * Gets the point of an area the line of the story leads to: the centroid of
+ * its largest outline. (The centroid of a concave outline can be outside it;
+ * a scene can give its own point with its coordinates.)
+ *
+ * @method {getAreaAnchor}
+ * @param {!Array} area The area.
+ * @returns {{lat: number, lng: number}} The coordinates of the point.
+ */
+function getAreaAnchor(area) {
+  var largest = null;
+  area.forEach(function(polygon) {
+    var centroid = getRingCentroid(polygon[0]);
+    if (!largest || centroid.area > largest.area) largest = centroid;
+  });
+  return {lat: largest.lat, lng: largest.lng};
+}
+
+/**
+ * @method {getRingCentroid}
+ * @param {!Array.<{lat: number, lng: number}>} ring The vertices of the ring.
+ * @returns {{lat: number, lng: number, area: number}} The centroid of the
+ *     ring, and its area in square degrees (as flat). The centroid of a ring
+ *     with no area is the mean of its vertices.
+ */
+function getRingCentroid(ring) {
+  var area = 0;
+  var lat = 0;
+  var lng = 0;
+  for (var i = 0; i < ring.length; ++i) {
+    var a = ring[i];
+    var b = ring[(i + 1) % ring.length];
+    var cross = a.lng * b.lat - b.lng * a.lat;
+    area += cross;
+    lng += (a.lng + b.lng) * cross;
+    lat += (a.lat + b.lat) * cross;
+  }
+  area /= 2;
+  if (Math.abs(area) < 1e-12) {
+    ring.forEach(function(vertex) {
+      lat += vertex.lat;
+      lng += vertex.lng;
+    });
+    return {lat: lat / ring.length, lng: lng / ring.length, area: 0};
+  }
+  return {lat: lat / (6 * area), lng: lng / (6 * area), area: Math.abs(area)};
+}
+
+/**
+ * @method {getAreaPaths}
+ * @param {!Array} area The area.
+ * @returns {!Array.<!Array.<!google.maps.LatLng>>} The paths of the polygon
+ *     highlighting the area: its outlines and holes.
+ */
+function getAreaPaths(area) {
+  var paths = [];
+  area.forEach(function(polygon) {
+    polygon.forEach(function(ring) {
+      paths.push(ring.map(function(vertex) {
+        return new MapAdapter.api.LatLng(vertex.lat, vertex.lng);
+      }));
+    });
+  });
+  return paths;
+}
+
+/**
+ * @method {getAreaBounds}
+ * @param {!Array} area The area.
+ * @returns {!google.maps.LatLngBounds} The bounds of the area's outlines.
+ */
+function getAreaBounds(area) {
+  var bounds = new MapAdapter.api.LatLngBounds();
+  area.forEach(function(polygon) {
+    polygon[0].forEach(function(vertex) {
+      bounds.extend(new MapAdapter.api.LatLng(vertex.lat, vertex.lng));
+    });
+  });
+  return bounds;
+}
@@ -0,0 +1,289 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The layers a view can show, by name, with the google.maps class of each.
+ */
+var MapLayer = {
+  traffic: 'TrafficLayer',
+  transit: 'TransitLayer',
+  bicycling: 'BicyclingLayer'
+};
+
+/**
+ * The view of the map when neither the scene nor the storyboard set it.
+ * A view has:
+ *   - `mapTypeId` {string} The map type: `roadmap`, `satellite`, `hybrid` or
+ *     `terrain`.
+ *   - `tilt` {number} The tilt in degrees (0 or 45 on most maps).
+ *   - `heading` {number} The heading in degrees clockwise from north.
+ *   - `styles` {Array.<google.maps.MapTypeStyle>} The styled map styles. If
+ *     null, the map has its own styling.
+ *   - `layers` {Array.<string>} The names of the layers shown (see
+ *     `MapLayer`).
+ */
+var DEFAULT_VIEW = {
+  mapTypeId: 'roadmap',
+  tilt: 0,
+  heading: 0,
+  styles: null,
+  layers: []
+};
+
+/**
+ * Parses the view given by the attributes of an element (a scene, or the
+ * storyboard): `mapTypeId`, `tilt`, `heading`, `mapStyles` and `layers`.
+ *
+ * @method {parseView}
+ * @param {Object} attributes The element.
+ * @returns {!Object} The view (see `DEFAULT_VIEW`). What the element does not
+ *     set (or sets to an invalid value) is null.
+ */
+function parseView(attributes) {
+  var tilt = parseFloat(attributes.tilt);
+  var heading = parseFloat(attributes.heading);
+  return {
+    mapTypeId: attributes.mapTypeId ?
+        String(attributes.mapTypeId).toLowerCase() : null,
+    tilt: isFinite(tilt) ? tilt : null,
+    heading: isFinite(heading) ? heading : null,
+    styles: parseMapStyles(attributes.mapStyles),
+    layers: parseLayers(attributes.layers)
+  };
+}
+
+/**
+ * Merges views: each setting is taken from the first view which sets it.
+ *
+ * @method {mergeViews}
+ * @param {...Object} var_views The views (see `DEFAULT_VIEW`), first to last.
+ * @returns {!Object} The merged view.
+ */
+function mergeViews(var_views) {
+  var views = Array.prototype.slice.call(arguments);
+  var merged = {};
+  Object.keys(DEFAULT_VIEW).forEach(function(key) {
+    merged[key] = null;
+    for (var i = 0; i < views.length; ++i) {
+      if (views[i] && views[i][key] != null) {
+        merged[key] = views[i][key];
+        break;
+      }
+    }
+  });
+  return merged;
+}
+
+/**
+ * @method {parseMapStyles}
+ * @param {string|Array} styles The styled map styles, or their JSON.
+ * @returns {Array.<google.maps.MapTypeStyle>} The styles, or null if there are
+ *     none (or the JSON is not an array).
+ */
+function parseMapStyles(styles) {
+  if (typeof styles == 'string') {
+    try {
+      styles = JSON.parse(styles);
+    } catch (e) {
+      return null;
+    }
+  }
+  return Array.isArray(styles) ? styles : null;
+}
+
+/**
+ * @method {parseLayers}
+ * @param {string|Array.<string>} layers The names of the layers (see
+ *     `MapLayer`), separated by spaces or commas. `none` is no layers.
+ * @returns {Array.<string>} The known layer names, or null if none are given.
+ */
+function parseLayers(layers) {
+  if (layers == null || layers === '') return null;
+  if (!Array.isArray(layers)) layers = String(layers).split(/[\s,]+/);
+  return layers.map(function(name) {
+    return String(name).toLowerCase();
+  }).filter(function(name) {
+    return MapLayer.hasOwnProperty(name);
+  });
+}
+
+/**
+ * MapViewManager
+ * Shows views (see `DEFAULT_VIEW`) on a map. The map type, styles and layers
+ * change at once. The heading and the tilt can turn gradually, over
+ * `_TWEEN_TIME_MS`, the shorter way round.
+ *
+ * @constructor
+ * @param {google.maps.Map} map The map the views are shown on.
+ */
+function MapViewManager(map) {
+  this.map = map;
+  this._layers = {};
+}
+
+MapViewManager.prototype = {
+
+  /**
+   * The map the views are shown on.
+   *
+   * @property {_map}
+   * @type {google.maps.Map}
+   * @default {null}
+   */
+  _map: null,
+
+  /**
+   * The layers made so far, by name (see `MapLayer`).
+   *
+   * @property {_layers}
+   * @type {Object}
+   * @default {null}
+   */
+  _layers: null,
+
+  /**
+   * The JSON of the styles shown, so that unchanged styles are not set again
+   * (which redraws the map).
+   *
+   * @property {_stylesJson}
+   * @type {string}
+   * @default {'null'}
+   */
+  _stylesJson: 'null',
+
+  /**
+   * The duration in milliseconds of a gradual change of heading and tilt.
+   *
+   * @property {_TWEEN_TIME_MS}
+   * @type {number}
+   * @default {600}
+   */
+  _TWEEN_TIME_MS: 600,
+
+  /**
+   * The id of the animation frame of the change of heading and tilt in
+   * progress, if there is one.
+   *
+   * @property {_frameId}
+   * @type {number}
+   * @default {0}
+   */
+  _frameId: 0,
+
+  /**
+   * @param {google.maps.Map} map The map the views are shown on. Null if no
+   *     map is given.
+   */
+  set map(map) {
+    this.cancel();
+    this._map = (map instanceof MapAdapter.api.Map) ? map : null;
+    for (var name in this._layers) {
+      if (this._layers[name].getMap()) this._layers[name].setMap(this._map);
+    }
+  },
+
+  /**
+   * @returns {google.maps.Map} The map the views are shown on.
+   */
+  get map() {
+    return this._map;
+  },
+
+  /**
+   * Shows the view on the map.
+   *
+   * @method {setView}
+   * @param {!Object} view The view (see `DEFAULT_VIEW`). Its unset settings
+   *     are those of `DEFAULT_VIEW`.
+   * @param {boolean} gradual If true, the heading and tilt turn gradually.
+   */
+  setView: function(view, gradual) {
+    if (!this._map) return;
+    this.cancel();
+    view = mergeViews(view, DEFAULT_VIEW);
+    if (this._map.getMapTypeId() != view.mapTypeId) {
+      this._map.setMapTypeId(view.mapTypeId);
+    }
+    var stylesJson = JSON.stringify(view.styles);
+    if (stylesJson != this._stylesJson) {
+      this._stylesJson = stylesJson;
+      this._map.setOptions({styles: view.styles});
+    }
+    this._showLayers(view.layers);
+    if (gradual) {
+      this._turn(view.heading, view.tilt);
+    } else {
+      this._map.setHeading(view.heading);
+      this._map.setTilt(view.tilt);
+    }
+  },
+
+  /**
+   * Stops the change of heading and tilt in progress, where it is.
+   *
+   * @method {cancel}
+   */
+  cancel: function() {
+    if (!this._frameId) return;
+    window.cancelAnimationFrame(this._frameId);
+    this._frameId = 0;
+  },
+
+  /**
+   * @method {_showLayers}
+   * @param {!Array.<string>} names The names of the layers to show. The other
+   *     layers are hidden.
+   */
+  _showLayers: function(names) {
+    for (var name in MapLayer) {
+      var show = names.indexOf(name) >= 0;
+      var layer = this._layers[name];
+      if (show && !layer) {
+        layer = this._layers[name] = new MapAdapter.api[MapLayer[name]]();
+      }
+      if (layer && !!layer.getMap() != show) {
+        layer.setMap(show ? this._map : null);
+      }
+    }
+  },
+
+  /**
+   * Turns the heading and the tilt of the map gradually.
+   *
+   * @method {_turn}
+   * @param {number} heading The heading to turn to.
+   * @param {number} tilt The tilt to turn to.
+   */
+  _turn: function(heading, tilt) {
+    var map = this._map;
+    var fromHeading = map.getHeading() || 0;
+    var fromTilt = map.getTilt() || 0;
+    // The change of heading in (-180, 180]: the shorter way round.
+    var turn = 180 - ((180 - (heading - fromHeading)) % 360 + 360) % 360;
+    if (!turn && tilt == fromTilt) return;
+    var easing = Easing['ease-in-out'];
+    var duration = this._TWEEN_TIME_MS;
+    var startTime = null;
+    var step = function(time) {
+      if (startTime == null) startTime = time;
+      var fraction = Math.min(1, (time - startTime) / duration);
+      var progress = easing(fraction);
+      map.setHeading(((fromHeading + turn * progress) % 360 + 360) % 360);
+      map.setTilt(fromTilt + (tilt - fromTilt) * progress);
+      this._frameId = fraction < 1 ? window.requestAnimationFrame(step) : 0;
+    }.bind(this);
+    this._frameId = window.requestAnimationFrame(step);
+  }
+};
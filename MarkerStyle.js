@@ -0,0 +1,127 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The default styles of the scenes' markers, by the state of the scene:
+ *   - `visited`: a scene the story has passed.
+ *   - `current`: the current scene.
+ *   - `upcoming`: a scene the story has yet to reach.
+ * A marker style has:
+ *   - `icon` {string|Object} The icon (see `makeMarkerIcon`). If null, the
+ *     map's own pin.
+ *   - `opacity` {number} The opacity of the marker [0, 1].
+ *   - `zIndex` {number} The stacking order of the marker.
+ *   - `labelColor` {string} The colour of the marker's number.
+ */
+var MarkerStyle = {
+  visited: {
+    icon: null,
+    opacity: 0.5,
+    zIndex: 1,
+    labelColor: '#fff'
+  },
+  current: {
+    icon: null,
+    opacity: 1,
+    zIndex: 3,
+    labelColor: '#fff'
+  },
+  upcoming: {
+    icon: null,
+    opacity: 0.85,
+    zIndex: 2,
+    labelColor: '#fff'
+  }
+};
+
+/**
+ * Merges the marker styles given. Properties which are undefined or null in a
+ * style are taken from the styles before it.
+ *
+ * @method {mergeMarkerStyles}
+ * @param {...Object} var_styles The marker styles, in increasing precedence.
+ * @returns {!Object} The merged marker style.
+ */
+function mergeMarkerStyles(var_styles) {
+  var merged = {};
+  for (var i = 0; i < arguments.length; ++i) {
+    var style = parseMarkerStyle(arguments[i]) || {};
+    for (var key in style) {
+      if (style[key] != null) merged[key] = style[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * @method {parseMarkerStyle}
+ * @param {string|Object} style The marker style, or its JSON (single quotes
+ *     can delimit its keys and strings, as in an attribute; an apostrophe
+ *     within a string is kept).
+ * @returns {Object} The marker style, or null if it is not valid JSON.
+ */
+function parseMarkerStyle(style) {
+  if (typeof style != 'string') return style || null;
+  try {
+    // Only the single quotes next to a delimiter are JSON's quotes.
+    return JSON.parse(style.replace(/([{\[,:]\s*)'|'(?=\s*[:,}\]])/g, '$1"'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Makes a marker icon.
+ *
+ * @method {makeMarkerIcon}
+ * @param {string|Object} icon `circle`, an SVG path (drawn 1:1, centred on
+ *     the location), an image URL, the JSON of a google.maps.Icon or
+ *     google.maps.Symbol, or the icon or symbol itself.
+ * @returns {string|Object} The marker icon, or null for the map's own pin.
+ */
+function makeMarkerIcon(icon) {
+  if (!icon) return null;
+  if (typeof icon != 'string') return icon;
+  if (/^\s*\{/.test(icon)) return parseMarkerStyle(icon);
+  var path = icon == 'circle' ? MapAdapter.api.SymbolPath.CIRCLE :
+      (/^\s*[Mm][\s\d.,-]/.test(icon) ? icon : null);
+  if (path == null) return icon;  // An image URL.
+  return {
+    path: path,
+    scale: icon == 'circle' ? 10 : 1,
+    fillColor: '#d32f2f',
+    fillOpacity: 1,
+    strokeColor: '#fff',
+    strokeWeight: 2
+  };
+}
+
+/**
+ * Makes the options of a marker in the given style.
+ *
+ * @method {makeMarkerOptions}
+ * @param {!Object} style The marker style (see `MarkerStyle`).
+ * @param {?string} label (Optional) The text of the marker's label (its
+ *     number). If not given, the marker has no label.
+ * @returns {!google.maps.MarkerOptions} The options of the marker.
+ */
+function makeMarkerOptions(style, label) {
+  return {
+    icon: makeMarkerIcon(style.icon),
+    opacity: style.opacity == null ? 1 : style.opacity,
+    zIndex: style.zIndex,
+    label: label ? {text: String(label), color: style.labelColor} : null
+  };
+}
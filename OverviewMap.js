@@ -0,0 +1,291 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The corners of the main map an overview map can be placed in, with the
+ * google.maps.ControlPosition of each.
+ */
+var OverviewCorner = {
+  'top-left': 'TOP_LEFT',
+  'top-right': 'TOP_RIGHT',
+  'bottom-left': 'BOTTOM_LEFT',
+  'bottom-right': 'BOTTOM_RIGHT'
+};
+
+/**
+ * The corner an overview map is placed in if none (or an unknown one) is
+ * given.
+ */
+var DEFAULT_OVERVIEW_CORNER = 'top-right';
+
+/**
+ * The styles of the dots of an overview map: those of the scenes, and that of
+ * the head of the line.
+ */
+var OverviewStyle = {
+  scene: {color: '#fff', strokeColor: '#555', scale: 4},
+  head: {color: '#4285f4', strokeColor: '#fff', scale: 5}
+};
+
+/**
+ * @method {getOverviewPosition}
+ * @param {string} corner The corner of the main map (see `OverviewCorner`).
+ * @returns {number} The google.maps.ControlPosition of the corner.
+ */
+function getOverviewPosition(corner) {
+  var name = OverviewCorner[String(corner).toLowerCase()] ||
+      OverviewCorner[DEFAULT_OVERVIEW_CORNER];
+  return MapAdapter.api.ControlPosition[name];
+}
+
+/**
+ * @method {makeOverviewDot}
+ * @param {{color: string, strokeColor: string, scale: number}} style The style
+ *     of the dot (see `OverviewStyle`).
+ * @returns {google.maps.Symbol} The icon of the dot.
+ */
+function makeOverviewDot(style) {
+  return {
+    path: MapAdapter.api.SymbolPath.CIRCLE,
+    fillColor: style.color,
+    fillOpacity: 1,
+    strokeColor: style.strokeColor,
+    strokeWeight: 2,
+    scale: style.scale
+  };
+}
+
+/**
+ * OverviewMap
+ * An inset map giving an overview of the whole journey, so that viewers do
+ * not lose track of where they are once the main map zooms in on a scene.
+ * It fits the locations of all the scenes, shows each as a dot, and mirrors
+ * the line of the journey: the travelled and upcoming lines, and the head of
+ * the line as it animates. Clicking the dot of a scene calls `onSceneClick`.
+ *
+ * @constructor
+ * @param {!Element} div The element of the overview map.
+ */
+function OverviewMap(div) {
+  this._map = new MapAdapter.api.Map(div, {
+    center: new MapAdapter.api.LatLng(0, 0),
+    zoom: 0,
+    disableDefaultUI: true,
+    draggable: false,
+    scrollwheel: false,
+    disableDoubleClickZoom: true,
+    keyboardShortcuts: false
+  });
+  this._travelledLine = new MapAdapter.api.Polyline({map: this._map});
+  this._upcomingLine = new MapAdapter.api.Polyline({map: this._map});
+  this._head = new MapAdapter.api.Marker({
+    icon: makeOverviewDot(OverviewStyle.head),
+    clickable: false,
+    zIndex: MapAdapter.api.Marker.MAX_ZINDEX
+  });
+  this._dots = [];
+  this.setLineStyles(LineStyle.travelled, LineStyle.upcoming);
+}
+
+OverviewMap.prototype = {
+
+  /**
+   * The inset map.
+   *
+   * @property {_map}
+   * @type {google.maps.Map}
+   * @default {null}
+   */
+  _map: null,
+
+  /**
+   * The polyline mirroring the travelled line of the journey.
+   *
+   * @property {_travelledLine}
+   * @type {google.maps.Polyline}
+   * @default {null}
+   */
+  _travelledLine: null,
+
+  /**
+   * The polyline mirroring the upcoming line of the journey.
+   *
+   * @property {_upcomingLine}
+   * @type {google.maps.Polyline}
+   * @default {null}
+   */
+  _upcomingLine: null,
+
+  /**
+   * The marker of the head of the line.
+   *
+   * @property {_head}
+   * @type {google.maps.Marker}
+   * @default {null}
+   */
+  _head: null,
+
+  /**
+   * The markers of the scenes' dots, in the order of the scenes.
+   *
+   * @property {_dots}
+   * @type {Array.<google.maps.Marker>}
+   * @default {null}
+   */
+  _dots: null,
+
+  /**
+   * The bounds of the scenes' locations, which the map fits.
+   *
+   * @property {_bounds}
+   * @type {google.maps.LatLngBounds}
+   * @default {null}
+   */
+  _bounds: null,
+
+  /**
+   * Called with the index of a scene when its dot is clicked.
+   *
+   * @property {onSceneClick}
+   * @type {function(number)}
+   * @default {null}
+   */
+  onSceneClick: null,
+
+  /**
+   * @returns {google.maps.Map} The inset map.
+   */
+  get map() {
+    return this._map;
+  },
+
+  /**
+   * Shows a dot at each scene's location, and fits the map to them.
+   *
+   * @method {setLocations}
+   * @param {!Array.<google.maps.LatLng>} locations The locations of the
+   *     scenes, in order.
+   */
+  setLocations: function(locations) {
+    locations.forEach(function(location, index) {
+      var dot = this._dots[index] || this._makeDot(index);
+      if (!location.equals(dot.getPosition())) dot.setPosition(location);
+    }, this);
+    this._dots.splice(locations.length).forEach(function(dot) {
+      MapAdapter.api.event.clearInstanceListeners(dot);
+      dot.setMap(null);
+    });
+    var bounds = new MapAdapter.api.LatLngBounds();
+    locations.forEach(function(location) {
+      bounds.extend(location);
+    });
+    // Refitting the map redraws it, so it is only refitted if it must be.
+    if (!this._bounds || !this._bounds.equals(bounds)) {
+      this._bounds = bounds;
+      this.fit();
+    }
+  },
+
+  /**
+   * Fits the map to the scenes' locations, e.g. once the map is resized.
+   *
+   * @method {fit}
+   */
+  fit: function() {
+    MapAdapter.api.event.trigger(this._map, 'resize');
+    if (!this._bounds || this._bounds.isEmpty()) return;
+    var center = this._bounds.getCenter();
+    if (this._bounds.getSouthWest().equals(this._bounds.getNorthEast())) {
+      this._map.setCenter(center);
+    } else {
+      this._map.fitBounds(this._bounds);
+    }
+  },
+
+  /**
+   * Styles the lines as the lines of the journey, without their arrows.
+   *
+   * @method {setLineStyles}
+   * @param {Object} travelledLine The style of the travelled line (see
+   *     `makePolylineOptions`). What it does not set is that of
+   *     `LineStyle.travelled`.
+   * @param {Object} upcomingLine The style of the upcoming line. What it does
+   *     not set is that of `LineStyle.upcoming`.
+   */
+  setLineStyles: function(travelledLine, upcomingLine) {
+    this._travelledLine.setOptions(makePolylineOptions(mergeLineStyles(
+        LineStyle.travelled, travelledLine, {arrows: false}), false));
+    this._upcomingLine.setOptions(makePolylineOptions(mergeLineStyles(
+        LineStyle.upcoming, upcomingLine, {arrows: false}), true));
+  },
+
+  /**
+   * Mirrors the line of the journey, and the head of the line.
+   *
+   * @method {update}
+   * @param {LinearAnimationManager|BranchingAnimationManager} manager The
+   *     manager of the journey's line.
+   */
+  update: function(manager) {
+    var paths = manager.getLinePaths();
+    this._travelledLine.setPath(paths.travelled);
+    this._upcomingLine.setPath(paths.upcoming);
+    this.moveHead(manager);
+  },
+
+  /**
+   * Moves the head of the line alone, on each frame of a line animation (the
+   * lines are mirrored as it starts and ends, see `update`).
+   *
+   * @method {moveHead}
+   * @param {LinearAnimationManager|BranchingAnimationManager} manager The
+   *     manager of the journey's line.
+   */
+  moveHead: function(manager) {
+    var position = manager.getPosition();
+    if (position) this._head.setPosition(position);
+    this._head.setMap(position ? this._map : null);
+  },
+
+  /**
+   * Removes the dots and lines from the map.
+   *
+   * @method {clear}
+   */
+  clear: function() {
+    this.setLocations([]);
+    this._bounds = null;
+    this._travelledLine.setPath([]);
+    this._upcomingLine.setPath([]);
+    this._head.setMap(null);
+  },
+
+  /**
+   * @method {_makeDot}
+   * @param {number} index The index of the scene.
+   * @returns {!google.maps.Marker} The marker of the scene's dot.
+   */
+  _makeDot: function(index) {
+    var dot = this._dots[index] = new MapAdapter.api.Marker({
+      map: this._map,
+      icon: makeOverviewDot(OverviewStyle.scene),
+      title: 'Go to scene ' + (index + 1)
+    });
+    MapAdapter.api.event.addListener(dot, 'click', function() {
+      if (this.onSceneClick) this.onSceneClick(this._dots.indexOf(dot));
+    }.bind(this));
+    return dot;
+  }
+};
@@ -0,0 +1,314 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The formats of story documents:
+ *   - `JSON`: the storyboard's own format:
+ *
+ *         {
+ *           "scenes": [
+ *             {
+ *               "id": "sydney",
+ *               "title": "Sydney",
+ *               "address": "Sydney, Australia",
+ *               "lat": -33.8688,
+ *               "lng": 151.2093,
+ *               "zoom": 5,
+ *               "datetime": "1788-01-26T10:00+10:00",
+ *               "dwell": 5000,
+ *               "waypoints": [[-35.2809, 149.13]],
+ *               "next": ["canberra", "melbourne"],
+ *               "content": ["Welcome to Sydney!", {"image": "sydney.png"}]
+ *             }
+ *           ]
+ *         }
+ *
+ *     Each scene needs an address, or `lat` and `lng`, or an area (`bounds`,
+ *     `polygon` or `geometry`). Its other properties (see
+ *     `SCENE_ATTRIBUTES`) are the attributes of the google-map-scene.
+ *     The content is text, or images given by `image` (their URL) and `alt`.
+ *     The `next` scene ids can also be given as a string, separated by spaces.
+ *   - `GEOJSON`: a FeatureCollection of Points, or of Polygons and
+ *     MultiPolygons (the scenes of which are areas). The properties of each
+ *     feature are the properties of its scene (`name` can be used for the
+ *     `title`, and `description` for the `content`).
+ *   - `KML`: the Placemarks of the document. The `name`, `description`,
+ *     `address` and Point of each Placemark are the title, content, address
+ *     and location of its scene. Its ExtendedData gives the other properties.
+ */
+var StoryFormat = {
+  JSON: 'json',
+  GEOJSON: 'geojson',
+  KML: 'kml'
+};
+
+/**
+ * The properties of a scene which are the attributes of its google-map-scene
+ * (other than the location and content).
+ */
+var SCENE_ATTRIBUTES = ['id', 'title', 'address', 'zoom', 'dwell', 'path',
+    'duration', 'speed', 'easing', 'traveller', 'travelledLine',
+    'upcomingLine', 'next', 'datetime', 'mapTypeId', 'tilt', 'heading',
+    'mapStyles', 'layers', 'markerIcon', 'hideMarker', 'bounds', 'polygon',
+    'geometry', 'areaStyle'];
+
+/**
+ * Parses a story document. Scenes which can not be parsed are left out of the
+ * story, and their errors reported, so they do not break the rest of it.
+ *
+ * @method {parseStory}
+ * @param {string} text The story document.
+ * @param {?string} format (Optional) The format of the document (see
+ *     `StoryFormat`). If not given, it is detected from the document.
+ * @returns {{scenes: !Array.<Object>, errors: !Array.<{index: number,
+ *     message: string}>}} The scenes of the story (see `StoryFormat.JSON`),
+ *     and the errors, with the index of the scene (or feature, or Placemark)
+ *     they are in. Errors in the document as a whole have an index of -1.
+ */
+function parseStory(text, format) {
+  var story = {scenes: [], errors: []};
+  try {
+    format = format || detectStoryFormat(text);
+    var items = format == StoryFormat.KML ? getKMLPlacemarks(text) :
+        getJSONItems(JSON.parse(text), format);
+  } catch (e) {
+    story.errors.push({index: -1, message: e.message});
+    return story;
+  }
+  items.forEach(function(item, index) {
+    try {
+      var scene = format == StoryFormat.KML ? parseKMLPlacemark(item) :
+          format == StoryFormat.GEOJSON ? parseGeoJSONFeature(item) : item;
+      story.scenes.push(validateScene(scene));
+    } catch (e) {
+      story.errors.push({index: index, message: e.message});
+    }
+  });
+  return story;
+}
+
+/**
+ * Exports scenes to a story document.
+ *
+ * @method {exportStory}
+ * @param {!Array.<Object>} scenes The scenes (see `StoryFormat.JSON`).
+ * @param {?string} format (Optional) `StoryFormat.JSON` (the default) or
+ *     `StoryFormat.GEOJSON`.
+ * @returns {!Object} The story document, ready for JSON.stringify.
+ */
+function exportStory(scenes, format) {
+  if (format == StoryFormat.GEOJSON) {
+    return {
+      type: 'FeatureCollection',
+      features: scenes.map(function(scene) {
+        var properties = {};
+        // An area is the geometry of its feature.
+        var area = (scene.geometry && typeof scene.geometry == 'object') ?
+            scene.geometry : null;
+        for (var key in scene) {
+          if (key != 'id' && key != 'lat' && key != 'lng' &&
+              !(area && key == 'geometry')) {
+            properties[key] = scene[key];
+          }
+        }
+        var feature = {
+          type: 'Feature',
+          geometry: area || (scene.lat != null ?
+              {type: 'Point', coordinates: [scene.lng, scene.lat]} : null),
+          properties: properties
+        };
+        if (scene.id) feature.id = scene.id;
+        return feature;
+      })
+    };
+  }
+  return {scenes: scenes};
+}
+
+/**
+ * @method {detectStoryFormat}
+ * @param {string} text The story document.
+ * @returns {string} The format of the document (see `StoryFormat`).
+ */
+function detectStoryFormat(text) {
+  var trimmed = text.trim();
+  if (trimmed.charAt(0) == '<') return StoryFormat.KML;
+  return /"type"\s*:\s*"Feature(Collection)?"/.test(trimmed) ?
+      StoryFormat.GEOJSON : StoryFormat.JSON;
+}
+
+/**
+ * Checks a scene, and tidies it up: coordinates become numbers, and the
+ * content an array.
+ *
+ * @method {validateScene}
+ * @param {Object} scene The scene (see `StoryFormat.JSON`).
+ * @returns {!Object} The scene.
+ * @throws {Error} If the scene is not valid.
+ */
+function validateScene(scene) {
+  if (!scene || typeof scene != 'object' || Array.isArray(scene)) {
+    throw new Error('The scene is not an object.');
+  }
+  var hasLat = scene.lat != null && scene.lat !== '';
+  var hasLng = scene.lng != null && scene.lng !== '';
+  if (hasLat || hasLng) {
+    var lat = parseFloat(scene.lat);
+    var lng = parseFloat(scene.lng);
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90) {
+      throw new Error('The coordinates ' + scene.lat + ', ' + scene.lng +
+          ' are invalid.');
+    }
+    scene.lat = lat;
+    scene.lng = lng;
+  } else if (!scene.address && scene.bounds == null &&
+      scene.polygon == null && scene.geometry == null) {
+    throw new Error('The scene has no address or coordinates.');
+  }
+  if (scene.waypoints != null) {
+    if (!Array.isArray(scene.waypoints)) {
+      throw new Error('The waypoints are not an array.');
+    }
+    scene.waypoints = scene.waypoints.map(function(waypoint) {
+      var coordinates = Array.isArray(waypoint) ? waypoint :
+          [waypoint && waypoint.lat, waypoint && waypoint.lng];
+      var lat = parseFloat(coordinates[0]);
+      var lng = parseFloat(coordinates[1]);
+      if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90) {
+        throw new Error('The waypoint ' + JSON.stringify(waypoint) +
+            ' is invalid.');
+      }
+      return [lat, lng];
+    });
+  }
+  if (scene.content != null) {
+    scene.content = [].concat(scene.content).map(function(piece) {
+      if (typeof piece == 'string' || (piece && piece.image)) return piece;
+      throw new Error('The content ' + JSON.stringify(piece) +
+          ' is not text or an image.');
+    });
+  }
+  return scene;
+}
+
+/**
+ * @method {getJSONItems}
+ * @param {Object} doc The parsed JSON or GeoJSON document.
+ * @param {string} format The format of the document (see `StoryFormat`).
+ * @returns {!Array} The scenes, or features, of the document.
+ * @throws {Error} If the document has none.
+ */
+function getJSONItems(doc, format) {
+  var items = format == StoryFormat.GEOJSON ?
+      (doc && doc.type == 'Feature' ? [doc] : doc && doc.features) :
+      (Array.isArray(doc) ? doc : doc && doc.scenes);
+  if (!Array.isArray(items)) {
+    throw new Error(format == StoryFormat.GEOJSON ?
+        'The document is not a GeoJSON FeatureCollection.' :
+        'The document has no scenes array.');
+  }
+  return items;
+}
+
+/**
+ * @method {parseGeoJSONFeature}
+ * @param {Object} feature The GeoJSON feature.
+ * @returns {!Object} The scene of the feature.
+ * @throws {Error} If the feature is not a Point, Polygon or MultiPolygon (or
+ *     an address).
+ */
+function parseGeoJSONFeature(feature) {
+  if (!feature || feature.type != 'Feature') {
+    throw new Error('The item is not a GeoJSON Feature.');
+  }
+  var properties = feature.properties || {};
+  var scene = {};
+  for (var key in properties) {
+    scene[key] = properties[key];
+  }
+  if (feature.id != null && scene.id == null) scene.id = String(feature.id);
+  if (scene.title == null && properties.name != null) {
+    scene.title = properties.name;
+  }
+  if (scene.content == null && properties.description != null) {
+    scene.content = properties.description;
+  }
+  delete scene.name;
+  delete scene.description;
+  var geometry = feature.geometry;
+  if (geometry && (geometry.type == 'Polygon' ||
+      geometry.type == 'MultiPolygon')) {
+    scene.geometry = geometry;
+  } else if (geometry) {
+    if (geometry.type != 'Point') {
+      throw new Error('The geometry ' + geometry.type + ' is not a Point, ' +
+          'Polygon or MultiPolygon.');
+    }
+    var coordinates = geometry.coordinates || [];
+    scene.lng = coordinates[0];
+    scene.lat = coordinates[1];
+  }
+  return scene;
+}
+
+/**
+ * @method {getKMLPlacemarks}
+ * @param {string} text The KML document.
+ * @returns {!Array.<Element>} The Placemarks of the document.
+ * @throws {Error} If the document is not well formed.
+ */
+function getKMLPlacemarks(text) {
+  var doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('The KML document is not well formed.');
+  }
+  return Array.prototype.slice.call(doc.getElementsByTagName('Placemark'));
+}
+
+/**
+ * @method {parseKMLPlacemark}
+ * @param {Element} placemark The KML Placemark.
+ * @returns {!Object} The scene of the Placemark.
+ * @throws {Error} If the coordinates of the Placemark are malformed.
+ */
+function parseKMLPlacemark(placemark) {
+  // Gets the text of the first descendant with the tag name.
+  function getText(tagName) {
+    var element = placemark.getElementsByTagName(tagName)[0];
+    return element ? element.textContent.trim() : null;
+  }
+  var scene = {};
+  Array.prototype.forEach.call(placemark.getElementsByTagName('Data'),
+      function(data) {
+    var value = data.getElementsByTagName('value')[0];
+    if (value) scene[data.getAttribute('name')] = value.textContent.trim();
+  });
+  if (placemark.getAttribute('id')) scene.id = placemark.getAttribute('id');
+  if (getText('name') != null) scene.title = getText('name');
+  if (getText('address') != null) scene.address = getText('address');
+  if (getText('description') != null) scene.content = getText('description');
+  var point = placemark.getElementsByTagName('Point')[0];
+  if (point) {
+    var coordinates = (point.getElementsByTagName('coordinates')[0] || {})
+        .textContent;
+    var values = String(coordinates).trim().split(/\s*,\s*/);
+    if (values.length < 2) {
+      throw new Error('The coordinates ' + coordinates + ' are malformed.');
+    }
+    scene.lng = values[0];
+    scene.lat = values[1];
+  }
+  return scene;
+}
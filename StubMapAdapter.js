@@ -0,0 +1,307 @@
+/*
+ * Copyright 2015 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+/**
+ * The in-memory map adapter (see `MapProvider.STUB`). Its map keeps the
+ * camera (and triggers `idle` after each move) and its overlays keep their
+ * options, but nothing is drawn: the storyboard's controls are the only thing
+ * shown. Its geocoder knows the addresses of `StubGeocoder.addresses`.
+ */
+MapAdapters[MapProvider.STUB] = {
+  get api() {
+    return this._api || (this._api = makeMapsApi({
+      Map: StubMap,
+      Polyline: StubPolyline,
+      Polygon: StubPolygon,
+      Marker: StubMarker,
+      InfoWindow: StubInfoWindow,
+      Geocoder: StubGeocoder
+    }));
+  }
+};
+
+/**
+ * The size in pixels of a stub map whose element has no size (e.g. in a
+ * test), for framing bounds.
+ */
+var STUB_MAP_SIZE = {width: 640, height: 480};
+
+/**
+ * The highest zoom level of a stub map.
+ */
+var STUB_MAX_ZOOM = 21;
+
+/**
+ * StubMap
+ * A map which keeps its camera, as google.maps.Map.
+ *
+ * @constructor
+ * @param {Element} div (Optional) The element of the map. The controls are
+ *     shown in it.
+ * @param {Object} options (Optional) The map options: `center`, `zoom`,
+ *     `mapTypeId`, `heading`, `tilt` and others, which are kept.
+ */
+function StubMap(div, options) {
+  this._div = div || null;
+  this.controls = makeMapControls(this._div);
+  this.setValues({
+    center: new MapsLatLng(0, 0),
+    zoom: 0,
+    mapTypeId: 'roadmap',
+    heading: 0,
+    tilt: 0
+  });
+  this.setValues(options);
+}
+
+StubMap.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(StubMap.prototype,
+    ['center', 'zoom', 'mapTypeId', 'heading', 'tilt']);
+
+StubMap.prototype.center_changed = function() {
+  scheduleMapIdle(this);
+};
+
+StubMap.prototype.zoom_changed = function() {
+  scheduleMapIdle(this);
+};
+
+/**
+ * @method {getDiv}
+ * @returns {Element} The element of the map.
+ */
+StubMap.prototype.getDiv = function() {
+  return this._div;
+};
+
+/**
+ * @method {panTo}
+ * @param {!MapsLatLng} location The new centre of the map.
+ */
+StubMap.prototype.panTo = function(location) {
+  this.setCenter(location);
+};
+
+/**
+ * Centres the map on the bounds, at the highest zoom they fit at.
+ *
+ * @method {fitBounds}
+ * @param {!MapsLatLngBounds} bounds The bounds to show.
+ */
+StubMap.prototype.fitBounds = function(bounds) {
+  if (bounds.isEmpty()) return;
+  var size = this._getSize();
+  var south = bounds.getSouthWest();
+  var north = bounds.getNorthEast();
+  var width = (north.lng() - south.lng()) / 360;
+  var height = (toMercatorY(north.lat()) - toMercatorY(south.lat())) /
+      (2 * Math.PI);
+  var zoom = Math.min(Math.log(size.width / (256 * width)),
+      Math.log(size.height / (256 * height))) / Math.LN2;
+  this.setCenter(bounds.getCenter());
+  this.setZoom(Math.max(0, Math.min(STUB_MAX_ZOOM, Math.floor(zoom))));
+};
+
+/**
+ * @method {getBounds}
+ * @returns {!MapsLatLngBounds} The bounds of the map's view.
+ */
+StubMap.prototype.getBounds = function() {
+  var size = this._getSize();
+  var center = this.getCenter();
+  var worldSize = 256 * Math.pow(2, this.getZoom());
+  var halfWidth = 180 * size.width / worldSize;
+  var halfHeight = Math.PI * size.height / worldSize;
+  var y = toMercatorY(center.lat());
+  return new MapsLatLngBounds(
+      new MapsLatLng(fromMercatorY(y - halfHeight), center.lng() - halfWidth,
+          true),
+      new MapsLatLng(fromMercatorY(y + halfHeight), center.lng() + halfWidth,
+          true));
+};
+
+/**
+ * @method {_getSize}
+ * @returns {{width: number, height: number}} The size of the map in pixels.
+ */
+StubMap.prototype._getSize = function() {
+  var div = this._div;
+  return (div && div.offsetWidth && div.offsetHeight) ?
+      {width: div.offsetWidth, height: div.offsetHeight} : STUB_MAP_SIZE;
+};
+
+/**
+ * @method {toMercatorY}
+ * @param {number} lat A latitude in degrees.
+ * @returns {number} The y of the latitude in the Mercator projection (in
+ *     radians, increasing northwards).
+ */
+function toMercatorY(lat) {
+  var clamped = Math.max(-85.0511, Math.min(85.0511, lat));
+  return Math.log(Math.tan(Math.PI / 4 + toRadians(clamped) / 2));
+}
+
+/**
+ * @method {fromMercatorY}
+ * @param {number} y A y in the Mercator projection (see `toMercatorY`).
+ * @returns {number} The latitude of the y in degrees.
+ */
+function fromMercatorY(y) {
+  return toDegrees(2 * Math.atan(Math.exp(y)) - Math.PI / 2);
+}
+
+/**
+ * StubPolyline
+ * A polyline which keeps its path and options, as google.maps.Polyline.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The polyline options.
+ */
+function StubPolyline(options) {
+  this.setPath([]);
+  this.setValues(options);
+}
+
+StubPolyline.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(StubPolyline.prototype, ['map', 'path', 'visible']);
+
+/**
+ * @method {setPath}
+ * @param {!Array.<!MapsLatLng>|!MapsArray} path The path of the polyline.
+ */
+StubPolyline.prototype.setPath = function(path) {
+  this.set('path', path instanceof MapsArray ? path : new MapsArray(path));
+};
+
+/**
+ * StubPolygon
+ * A polygon which keeps its paths and options, as google.maps.Polygon.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The polygon options.
+ */
+function StubPolygon(options) {
+  this.setPaths([]);
+  this.setValues(options);
+}
+
+StubPolygon.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(StubPolygon.prototype, ['map', 'paths', 'visible']);
+
+/**
+ * @method {setPaths}
+ * @param {!Array|!MapsArray} paths The paths of the polygon (see
+ *     `makeMapsPaths`).
+ */
+StubPolygon.prototype.setPaths = function(paths) {
+  this.set('paths', makeMapsPaths(paths));
+};
+
+/**
+ * StubMarker
+ * A marker which keeps its position and options, as google.maps.Marker. It
+ * can be clicked by triggering `click`.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The marker options.
+ */
+function StubMarker(options) {
+  this.setValues(options);
+}
+
+StubMarker.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(StubMarker.prototype, ['map', 'position', 'icon', 'label',
+    'opacity', 'zIndex', 'title', 'visible', 'clickable']);
+
+/**
+ * The highest zIndex of a marker.
+ */
+StubMarker.MAX_ZINDEX = 1000000;
+
+/**
+ * StubInfoWindow
+ * An info window which keeps its content and position, as
+ * google.maps.InfoWindow.
+ *
+ * @constructor
+ * @param {Object} options (Optional) The info window options.
+ */
+function StubInfoWindow(options) {
+  this.setValues(options);
+}
+
+StubInfoWindow.prototype = Object.create(MapsObject.prototype);
+defineMapsAccessors(StubInfoWindow.prototype,
+    ['map', 'content', 'position', 'zIndex']);
+
+/**
+ * Opens the info window on the map, at the anchor if it is given (moving it
+ * to the anchor's position).
+ *
+ * @method {open}
+ * @param {!StubMap} map The map.
+ * @param {StubMarker} anchor (Optional) The marker to open the window at.
+ */
+StubInfoWindow.prototype.open = function(map, anchor) {
+  this.set('anchor', anchor || null);
+  if (anchor) this.setPosition(anchor.getPosition());
+  this.setMap(map);
+};
+
+/**
+ * @method {close}
+ */
+StubInfoWindow.prototype.close = function() {
+  this.setMap(null);
+};
+
+/**
+ * StubGeocoder
+ * A geocoder which knows the addresses of `StubGeocoder.addresses`, as
+ * google.maps.Geocoder. It answers asynchronously.
+ *
+ * @constructor
+ */
+function StubGeocoder() {}
+
+/**
+ * The coordinates of the addresses the stub geocoder knows, by address (in
+ * lower case), as [lat, lng].
+ */
+StubGeocoder.addresses = {};
+
+StubGeocoder.prototype = {
+
+  /**
+   * @method {geocode}
+   * @param {{address: string}} request The request.
+   * @param {function(Array, string)} callback The callback to invoke with the
+   *     results and the status (see `MapsGeocoderStatus`).
+   */
+  geocode: function(request, callback) {
+    var address = String(request.address || '').trim();
+    var coordinates = StubGeocoder.addresses[address.toLowerCase()];
+    window.setTimeout(function() {
+      if (!coordinates) {
+        callback([], MapsGeocoderStatus.ZERO_RESULTS);
+        return;
+      }
+      callback([{
+        formatted_address: address,
+        geometry: {location: new MapsLatLng(coordinates[0], coordinates[1])}
+      }], MapsGeocoderStatus.OK);
+    }, 0);
+  }
+};
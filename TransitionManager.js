@@ -19,18 +19,155 @@ var TransitionState = {
   PAUSED: 'PAUSED'
 };
 
+/**
+ * PausableTimer
+ *  - Is a one-shot timer which can be paused and resumed.
+ *  - Once resumed, it fires after the time that was remaining when paused.
+ *
+ * @constructor
+ * @param {!Function} callback The callback to invoke when the timer fires.
+ */
+function PausableTimer(callback) {
+  this._callback = callback;
+}
+
+PausableTimer.prototype = {
+
+  /**
+   * The state of the timer.
+   *   - `IDLE` - The timer is not started, has fired or was cancelled.
+   *   - `PAUSED` - The timer was paused before it fired.
+   *   - `ANIMATING` - The timer is counting down.
+   *
+   * @property {_state}
+   * @type {TransitionState}
+   * @default {TransitionState.IDLE}
+   */
+  _state: TransitionState.IDLE,
+
+  /**
+   * The timeoutId of the current countdown, if it is running.
+   *
+   * @property {_timeoutId}
+   * @type {number}
+   * @default {0}
+   */
+  _timeoutId: 0,
+
+  /**
+   * The time in milliseconds left before the timer fires.
+   *
+   * @property {_remaining}
+   * @type {number}
+   * @default {0}
+   */
+  _remaining: 0,
+
+  /**
+   * The time at which the current countdown was (re)started.
+   *
+   * @property {_startTime}
+   * @type {number}
+   * @default {0}
+   */
+  _startTime: 0,
+
+  /**
+   * Starts the timer, replacing any countdown in progress.
+   *
+   * @method {start}
+   * @param {number} delay The time in milliseconds before the timer fires.
+   */
+  start: function(delay) {
+    this.cancel();
+    this._remaining = Math.max(0, delay || 0);
+    this.resume();
+  },
+
+  /**
+   * Pauses the timer (if it is counting down).
+   *
+   * @method {pause}
+   */
+  pause: function() {
+    if (!this.isRunning()) return;
+    window.clearTimeout(this._timeoutId);
+    this._remaining -= Date.now() - this._startTime;
+    this._state = TransitionState.PAUSED;
+  },
+
+  /**
+   * Resumes the countdown of a paused timer.
+   *
+   * @method {resume}
+   */
+  resume: function() {
+    if (this.isRunning()) return;
+    this._state = TransitionState.ANIMATING;
+    this._startTime = Date.now();
+    this._timeoutId = window.setTimeout(this._fire.bind(this),
+        Math.max(0, this._remaining));
+  },
+
+  /**
+   * Stops the timer without firing it.
+   *
+   * @method {cancel}
+   */
+  cancel: function() {
+    window.clearTimeout(this._timeoutId);
+    this._timeoutId = 0;
+    this._remaining = 0;
+    this._state = TransitionState.IDLE;
+  },
+
+  /**
+   * @method {isRunning}
+   * @returns {boolean} True if the timer is counting down.
+   */
+  isRunning: function() {
+    return (this._state === TransitionState.ANIMATING);
+  },
+
+  /**
+   * @method {isPaused}
+   * @returns {boolean} True if the timer was paused before it fired.
+   */
+  isPaused: function() {
+    return (this._state === TransitionState.PAUSED);
+  },
+
+  /**
+   * @method {_fire}
+   */
+  _fire: function() {
+    this._state = TransitionState.IDLE;
+    this._timeoutId = 0;
+    this._remaining = 0;
+    this._callback();
+  }
+};
+
 /**
  * MapTransitionManager
  *  - Is a wrapper for transitions on its Google Map.
  *  - The transitions have callbacks which are fired once the map is idle.
  *  - A typical transition is:
  *    fitBounds -> panTo -> transition complete callback
+ *  - The camera moves of the line animations are made by its strategy
+ *    (see `TransitionStrategy`): `transitionTo`, `frameSegment`, `follow` and
+ *    `arrive`.
+ *  - Triggers (with google.maps.event) `transition-start` and
+ *    `transition-end` around each `transitionTo` and `arrive`, with the
+ *    `locations`, `zoom` and area `bounds` of the transition. A transition
+ *    cut short by another has no `transition-end`.
  *
  * @constructor
  * @param {google.maps.Map} map The Google Map the transitions occur on.
  */
 function MapTransitionManager(map) {
   this.map = map;
+  this.strategy = null;
 }
 
 MapTransitionManager.prototype = {
@@ -44,6 +181,15 @@ MapTransitionManager.prototype = {
    */
   _map: null,
 
+  /**
+   * The strategy of the camera moves (see `TransitionStrategy`).
+   *
+   * @property {_strategy}
+   * @type {Object}
+   * @default {TransitionStrategy['fit-pan']}
+   */
+  _strategy: null,
+
   /**
    * The listener for the next `idle` map event - see `uponMapIdle`.
    *
@@ -58,7 +204,7 @@ MapTransitionManager.prototype = {
    *     if no map is given.
    */
   set map(map) {
-    this._map = (map instanceof google.maps.Map) ? map : null;
+    this._map = (map instanceof MapAdapter.api.Map) ? map : null;
   },
 
   /**
@@ -75,9 +221,9 @@ MapTransitionManager.prototype = {
    *     handler.
    */
   _uponMapIdle: function(handler) {
-    google.maps.event.removeListener(this._idleListener);
+    MapAdapter.api.event.removeListener(this._idleListener);
     if (handler) {
-      this._idleListener = new google.maps.event.addListenerOnce(this._map,
+      this._idleListener = new MapAdapter.api.event.addListenerOnce(this._map,
           'idle', handler);
     }
   },
@@ -112,7 +258,7 @@ MapTransitionManager.prototype = {
     this.removeIdleBehavior();
     var lastLocation = locations[locations.length - 1];
     var hasDiffLocations = false;
-    var bounds = new google.maps.LatLngBounds();
+    var bounds = new MapAdapter.api.LatLngBounds();
     for (var i = 0, location; location = locations[i]; ++i) {
       bounds.extend(location);
       if (!hasDiffLocations) hasDiffLocations = !location.equals(lastLocation);
@@ -147,36 +293,618 @@ MapTransitionManager.prototype = {
       // Invoke the callback if the pan is not needed.
       onTransitionComplete();
     }
+  },
+
+  /**
+   * Steps the zoom of the map, one level per idle, to the given zoom.
+   * If the zoom or map are invalid, the transition is seen as complete,
+   * so the callback is invoked.
+   *
+   * @method {zoomTo}
+   * @param {?number} zoom The zoom to step to.
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the transition.
+   */
+  zoomTo: function(zoom, onTransitionComplete) {
+    this.removeIdleBehavior();
+    zoom = Number(zoom);
+    var currentZoom = this._map && this._map.getZoom();
+    if (this._map && !isNaN(zoom) && zoom !== currentZoom) {
+      this._map.setZoom(currentZoom + (zoom > currentZoom ? 1 : -1));
+      this._uponMapIdle(this.zoomTo.bind(this, zoom, onTransitionComplete));
+    } else if (onTransitionComplete) {
+      onTransitionComplete();
+    }
+  },
+
+  /**
+   * Fits the map to the bounds of an area (e.g. a scene which is an area),
+   * rather than zooming to a location.
+   * If the bounds or map are invalid (e.g. there is no area), the transition
+   * is seen as complete, so the callback is invoked.
+   *
+   * @method {frameArea}
+   * @param {google.maps.LatLngBounds} bounds The bounds of the area.
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the transition.
+   */
+  frameArea: function(bounds, onTransitionComplete) {
+    this.removeIdleBehavior();
+    if (this._map && bounds instanceof MapAdapter.api.LatLngBounds &&
+        !bounds.isEmpty()) {
+      this._map.fitBounds(bounds);
+      this._uponMapIdle(onTransitionComplete);
+    } else if (onTransitionComplete) {
+      onTransitionComplete();
+    }
+  },
+
+  /**
+   * Frames the area if there is one, else steps the zoom (see `frameArea`
+   * and `zoomTo`).
+   *
+   * @method {zoomToArea}
+   * @param {?number} zoom The zoom to step to.
+   * @param {google.maps.LatLngBounds} bounds The bounds of the area, if any.
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the transition.
+   */
+  zoomToArea: function(zoom, bounds, onTransitionComplete) {
+    if (bounds) this.frameArea(bounds, onTransitionComplete);
+    else this.zoomTo(zoom, onTransitionComplete);
+  },
+
+  /**
+   * Sets the strategy of the camera moves.
+   *
+   * @param {string|Object} strategy The name of a strategy (see
+   *     `TransitionStrategy`), or a custom strategy: an object with any of the
+   *     `transitionTo`, `frameSegment`, `follow` and `arrive` methods.
+   *     (Missing methods are those of the default strategy.)
+   */
+  set strategy(strategy) {
+    if (typeof strategy == 'string') strategy = TransitionStrategy[strategy];
+    this._strategy = strategy || TransitionStrategy['fit-pan'];
+  },
+
+  /**
+   * @returns {Object} The strategy of the camera moves.
+   */
+  get strategy() {
+    return this._strategy;
+  },
+
+  /**
+   * Moves the camera to show the given locations and land on the last one.
+   * Used when the current location is set without a line animation.
+   *
+   * @method {transitionTo}
+   * @param {!Array.<!google.maps.LatLng>} locations The locations to show.
+   * @param {?number} zoom The zoom to land at, if the strategy zooms.
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the transition.
+   * @param {google.maps.LatLngBounds} bounds (Optional) The bounds of the area
+   *     to frame, if the last location is an area.
+   */
+  transitionTo: function(locations, zoom, onTransitionComplete, bounds) {
+    var detail = {locations: locations, zoom: zoom, bounds: bounds || null};
+    MapAdapter.api.event.trigger(this, 'transition-start', detail);
+    this._callStrategy('transitionTo', [locations, zoom,
+        this._endTransition.bind(this, detail, onTransitionComplete),
+        detail.bounds]);
+  },
+
+  /**
+   * Moves the camera to frame the line segment about to be animated.
+   *
+   * @method {frameSegment}
+   * @param {!google.maps.LatLng} from The start of the segment.
+   * @param {!google.maps.LatLng} to The end of the segment.
+   */
+  frameSegment: function(from, to) {
+    this._callStrategy('frameSegment', arguments);
+  },
+
+  /**
+   * Moves the camera along with the head of the animating line.
+   * Called on every frame of the line animation.
+   *
+   * @method {follow}
+   * @param {!google.maps.LatLng} waypoint The head of the animating line.
+   */
+  follow: function(waypoint) {
+    this._callStrategy('follow', arguments);
+  },
+
+  /**
+   * Moves the camera to the location the line animation has arrived at.
+   *
+   * @method {arrive}
+   * @param {!google.maps.LatLng} location The location arrived at.
+   * @param {?number} zoom The zoom to land at, if the strategy zooms.
+   * @param {Function} onTransitionComplete (Optional) The callback to invoke on
+   *     the completion of the transition.
+   * @param {google.maps.LatLngBounds} bounds (Optional) The bounds of the area
+   *     to frame, if the location is an area.
+   */
+  arrive: function(location, zoom, onTransitionComplete, bounds) {
+    var detail = {locations: [location], zoom: zoom, bounds: bounds || null};
+    MapAdapter.api.event.trigger(this, 'transition-start', detail);
+    this._callStrategy('arrive', [location, zoom,
+        this._endTransition.bind(this, detail, onTransitionComplete),
+        detail.bounds]);
+  },
+
+  /**
+   * Triggers `transition-end` once a transition is complete, then invokes its
+   * callback.
+   *
+   * @method {_endTransition}
+   * @param {Object} detail The locations, zoom and bounds of the transition.
+   * @param {Function} onTransitionComplete (Optional) The callback of the
+   *     transition.
+   */
+  _endTransition: function(detail, onTransitionComplete) {
+    MapAdapter.api.event.trigger(this, 'transition-end', detail);
+    if (onTransitionComplete) onTransitionComplete();
+  },
+
+  /**
+   * @method {_callStrategy}
+   * @param {string} name The name of the strategy method to call.
+   * @param {Arguments} args The arguments to call it with.
+   */
+  _callStrategy: function(name, args) {
+    var method = this._strategy[name] || TransitionStrategy['fit-pan'][name];
+    method.apply(this, args);
   }
 
-}
+};
+
+/**
+ * The strategies of the camera moves of the MapTransitionManager.
+ * The methods of a strategy are called with the MapTransitionManager as `this`,
+ * and must invoke the callbacks they are given once their move is complete.
+ * Where the location is an area, they are given its `bounds` after their
+ * callback, to frame instead of landing at the `zoom` (see `frameArea`).
+ *  - `fit-pan`: fits the bounds of the locations, then pans to the last one.
+ *    The zoom is left as it is, but an area is framed.
+ *  - `cut`: cuts to the location and zoom, with no animation.
+ *  - `fly-to`: zooms out to show where it is flying to, pans, then steps the
+ *    zoom back in.
+ *  - `follow`: keeps the head of the animating line centred.
+ */
+var TransitionStrategy = {
+  'fit-pan': {
+    transitionTo: function(locations, zoom, onTransitionComplete, bounds) {
+      this.fitBounds(locations, true,
+          this.frameArea.bind(this, bounds, onTransitionComplete));
+    },
+    frameSegment: function(from, to) {
+      this.fitBounds([from, to], false);
+    },
+    follow: function(waypoint) {},
+    arrive: function(location, zoom, onTransitionComplete, bounds) {
+      this.panTo(location,
+          this.frameArea.bind(this, bounds, onTransitionComplete));
+    }
+  },
+
+  'cut': {
+    transitionTo: function(locations, zoom, onTransitionComplete, bounds) {
+      TransitionStrategy['cut'].arrive.call(this,
+          locations[locations.length - 1], zoom, onTransitionComplete, bounds);
+    },
+    frameSegment: function(from, to) {},
+    follow: function(waypoint) {},
+    arrive: function(location, zoom, onTransitionComplete, bounds) {
+      this.removeIdleBehavior();
+      if (this._map && bounds) {
+        this._map.fitBounds(bounds);
+      } else if (this._map && location) {
+        this._map.setCenter(location);
+        if (zoom != null) this._map.setZoom(Number(zoom));
+      }
+      if (onTransitionComplete) onTransitionComplete();
+    }
+  },
+
+  'fly-to': {
+    transitionTo: function(locations, zoom, onTransitionComplete, bounds) {
+      var location = locations[locations.length - 1];
+      if (!this._map) {
+        this.panTo(location, onTransitionComplete);
+        return;
+      }
+      // Zoom out to show both where it is and where it is flying to. A short
+      // hop would fit closer in than the map is: it stays at its zoom.
+      var fromZoom = this._map.getZoom();
+      this.fitBounds([this._map.getCenter(), location], false,
+          TransitionStrategy['fly-to'].arrive.bind(this, location, zoom,
+              onTransitionComplete, bounds));
+      if (this._map.getZoom() > fromZoom) this._map.setZoom(fromZoom);
+    },
+    frameSegment: function(from, to) {
+      this.fitBounds([from, to], false);
+    },
+    follow: function(waypoint) {},
+    arrive: function(location, zoom, onTransitionComplete, bounds) {
+      this.panTo(location,
+          this.zoomToArea.bind(this, zoom, bounds, onTransitionComplete));
+    }
+  },
+
+  'follow': {
+    transitionTo: function(locations, zoom, onTransitionComplete, bounds) {
+      this.panTo(locations[locations.length - 1],
+          this.zoomToArea.bind(this, zoom, bounds, onTransitionComplete));
+    },
+    frameSegment: function(from, to) {
+      this.panTo(from);
+    },
+    follow: function(waypoint) {
+      this.removeIdleBehavior();
+      if (this._map) this._map.setCenter(waypoint);
+    },
+    arrive: function(location, zoom, onTransitionComplete, bounds) {
+      this.panTo(location,
+          this.zoomToArea.bind(this, zoom, bounds, onTransitionComplete));
+    }
+  }
+};
 
 /**
  * @method {setLast}
- * @param {!google.maps.Polyline} polyline The polyline to set the location on.
+ * @param {!google.maps.MVCArray} path The path to set the location on.
  * @param {!google.maps.LatLng} location The location to set at the end of the
- * polyline.
+ * path.
  */
-function setLast(polyline, location) {
-  var path = polyline.getPath();
+function setLast(path, location) {
   path.setAt(path.length - 1, location);
 }
 
 /**
- * @method {getPointOnLine}
- * @param {!google.maps.Polyline} polyline The polyline to get the point from.
+ * @method {getPointOnPath}
+ * @param {!google.maps.MVCArray} path The path to get the point from.
  * @param {number} index The index of the point (single wrap around).
  * NOTE: If index < last negative path index, it returns the first point.
  *       If index > last path index, it returns the last point.
  *       If there are no points in the path, it returns undefined.
  */
-function getPointOnLine(polyline, index) {
-  var path = polyline.getPath();
+function getPointOnPath(path, index) {
   var length = path.length;
   index = index < 0 ? Math.max(index + length, 0) : Math.min(index, length - 1);
   return path.getAt(index);
 }
 
+/**
+ * Splits a route at the given fraction of its length.
+ * The route goes from `from`, through the vertices of `route`, to `to`.
+ * The fraction is of the ground distance, so a point moving with a constant
+ * fraction speed moves at a constant ground speed across all the vertices.
+ *
+ * @method {splitRoute}
+ * @param {!google.maps.LatLng} from The start of the route.
+ * @param {!Array.<!google.maps.LatLng>} route The vertices between from and to.
+ * @param {!google.maps.LatLng} to The end of the route.
+ * @param {number} fraction The fraction [0, 1] of the distance along the route.
+ * @returns {{waypoint: google.maps.LatLng, before: Array.<google.maps.LatLng>,
+ *     after: Array.<google.maps.LatLng>}} The point at the fraction, and the
+ *     vertices of the route before and after it (in the route's order).
+ */
+function splitRoute(from, route, to, fraction) {
+  var points = [from].concat(route, [to]);
+  var spherical = MapAdapter.api.geometry.spherical;
+  var distances = [];
+  var totalDistance = 0;
+  for (var i = 1; i < points.length; ++i) {
+    distances.push(spherical.computeDistanceBetween(points[i - 1], points[i]));
+    totalDistance += distances[i - 1];
+  }
+  var remaining = fraction * totalDistance;
+  for (i = 1; i < points.length - 1; ++i) {
+    if (remaining < distances[i - 1]) break;
+    remaining -= distances[i - 1];
+  }
+  var segmentDistance = distances[i - 1];
+  var segmentFraction = segmentDistance ?
+      Math.min(1, remaining / segmentDistance) : fraction;
+  return {
+    waypoint: spherical.interpolate(points[i - 1], points[i], segmentFraction),
+    before: points.slice(1, i),
+    after: points.slice(i, -1)
+  };
+}
+
+/**
+ * The named easing curves of the line animations.
+ * Each maps the fraction of the animation time [0, 1] to the fraction of the
+ * animation's progress [0, 1].
+ */
+var Easing = {
+  'linear': function(t) {
+    return t;
+  },
+  'ease-in': function(t) {
+    return t * t;
+  },
+  'ease-out': function(t) {
+    return t * (2 - t);
+  },
+  'ease-in-out': function(t) {
+    return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+  },
+  'cubic-in': function(t) {
+    return t * t * t;
+  },
+  'cubic-out': function(t) {
+    return 1 - Math.pow(1 - t, 3);
+  },
+  'cubic-in-out': function(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - 4 * Math.pow(1 - t, 3);
+  }
+};
+
+/**
+ * @method {getEasing}
+ * @param {string|Function} easing The name of an easing curve (see `Easing`),
+ *     or a custom easing function.
+ * @returns {!Function} The easing function. Linear if the name is unknown.
+ */
+function getEasing(easing) {
+  if (typeof easing == 'function') return easing;
+  return Easing[easing] || Easing['linear'];
+}
+
+/**
+ * Inverts the easing function: finds the fraction of the animation time at
+ * which the animation reaches the given progress.
+ * The easing function must be increasing (it can be custom, so it is inverted
+ * numerically, by bisection).
+ *
+ * @method {invertEasing}
+ * @param {!Function} easing The easing function to invert.
+ * @param {number} progress The fraction of the animation's progress [0, 1].
+ * @returns {number} The fraction of the animation time [0, 1].
+ */
+function invertEasing(easing, progress) {
+  var low = 0;
+  var high = 1;
+  for (var i = 0; i < 32; ++i) {
+    var mid = (low + high) / 2;
+    if (easing(mid) < progress) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * How close (as a fraction of a leg) a seek is snapped to the location at the
+ * end of the leg (see `LinearAnimationManager.seek`).
+ *
+ * @const {SEEK_PRECISION}
+ * @type {number}
+ */
+var SEEK_PRECISION = 1e-9;
+
+/**
+ * The named icons of the traveller riding the head of the animating line.
+ * Each is an SVG path pointing north, centred on (0, 0), so it can be rotated
+ * to the heading of the line.
+ */
+var TravellerIcon = {
+  'plane': 'M 0,-10 L 1.5,-4 L 10,1 L 10,3 L 1.5,0.5 L 1,6 L 4,8 L 4,9.5 ' +
+      'L 0,8.5 L -4,9.5 L -4,8 L -1,6 L -1.5,0.5 L -10,3 L -10,1 L -1.5,-4 Z',
+  'car': 'M -3,-9 L 3,-9 L 5,-6 L 5,9 L -5,9 L -5,-6 Z ' +
+      'M -3.5,-4 L 3.5,-4 L 3,-1 L -3,-1 Z',
+  'person': 'M -2,-9 L 2,-9 L 2,-5 L -2,-5 Z ' +
+      'M -4,-4 L 4,-4 L 3,3 L 2,10 L 0.5,10 L 0,4 L -0.5,10 L -2,10 L -3,3 Z'
+};
+
+/**
+ * Makes the marker icon of the traveller, rotated to the given heading.
+ *
+ * @method {makeTravellerIcon}
+ * @param {string|Object} traveller The name of a traveller icon (see
+ *     `TravellerIcon`), an SVG path, an image URL, or a google.maps.Symbol or
+ *     google.maps.Icon.
+ * @param {number} heading The heading of the traveller in degrees.
+ * @returns {string|Object} The marker icon. Only symbols (named icons and SVG
+ *     paths) are rotated.
+ */
+function makeTravellerIcon(traveller, heading) {
+  if (typeof traveller == 'string') {
+    var path = TravellerIcon[traveller] ||
+        (/^\s*[Mm][\s\d.,-]/.test(traveller) ? traveller : null);
+    if (!path) return traveller;  // An image URL.
+    traveller = {
+      path: path,
+      scale: 1.5,
+      fillColor: '#000',
+      fillOpacity: 0.8,
+      strokeColor: '#fff',
+      strokeWeight: 1
+    };
+  }
+  if (traveller.path == null) return traveller;  // A google.maps.Icon.
+  var icon = {};
+  for (var key in traveller) {
+    icon[key] = traveller[key];
+  }
+  icon.rotation = (traveller.rotation || 0) + heading;
+  return icon;
+}
+
+/**
+ * The default styles of the lines (see `makePolylineOptions`):
+ *   - `travelled`: the line through the previous locations.
+ *   - `upcoming`: the line through the next locations.
+ */
+var LineStyle = {
+  travelled: {
+    color: '#000',
+    weight: 2,
+    opacity: 0.6,
+    dash: null,
+    arrows: false,
+    geodesic: true
+  },
+  upcoming: {
+    color: '#000',
+    weight: 2,
+    opacity: 0.2,
+    dash: null,
+    arrows: false,
+    geodesic: true
+  }
+};
+
+/**
+ * Merges the line styles given. Properties which are undefined in a style are
+ * taken from the styles before it. An explicit null clears a property the
+ * styles before it set (e.g. `{dash: null}` makes a dashed line solid).
+ *
+ * @method {mergeLineStyles}
+ * @param {...Object} var_styles The line styles, in increasing precedence.
+ * @returns {Object} The merged line style.
+ */
+function mergeLineStyles(var_styles) {
+  var merged = {};
+  for (var i = 0; i < arguments.length; ++i) {
+    var style = arguments[i] || {};
+    for (var key in style) {
+      if (style[key] !== undefined) merged[key] = style[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * @method {isSameLineStyle}
+ * @param {Object} style The line style, if any.
+ * @param {Object} other The other line style, if any.
+ * @returns {boolean} True if the styles have the same properties, by value.
+ */
+function isSameLineStyle(style, other) {
+  style = style || {};
+  other = other || {};
+  return Object.keys(style).concat(Object.keys(other)).every(function(key) {
+    return JSON.stringify(style[key]) === JSON.stringify(other[key]);
+  });
+}
+
+/**
+ * Sets the last points of a path, changing only the points which differ.
+ *
+ * @method {setPathTail}
+ * @param {!google.maps.MVCArray} path The path.
+ * @param {number} count The number of points at the end of the path to set.
+ * @param {!Array.<google.maps.LatLng>} points The points to set them to.
+ */
+function setPathTail(path, count, points) {
+  var start = Math.max(0, path.getLength() - count);
+  points.forEach(function(point, i) {
+    if (start + i >= path.getLength()) {
+      path.push(point);
+    } else if (path.getAt(start + i) !== point) {
+      path.setAt(start + i, point);
+    }
+  });
+  while (path.getLength() > start + points.length) path.pop();
+}
+
+/**
+ * Parses a line style given as an attribute: a JSON object, in which single
+ * quotes can delimit the keys and strings instead of double quotes (as in
+ * Polymer attributes). An apostrophe within a string is kept.
+ *
+ * @method {parseLineStyle}
+ * @param {string|Object} style The line style, or its JSON.
+ * @returns {Object} The line style, or null if there is none or it can not be
+ *     parsed.
+ */
+function parseLineStyle(style) {
+  if (typeof style != 'string') return style || null;
+  try {
+    // Only the single quotes next to a delimiter are JSON's quotes.
+    return JSON.parse(style.replace(/([{\[,:]\s*)'|'(?=\s*[:,}\]])/g, '$1"'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Makes the options of a polyline drawn in the given style.
+ * The line is drawn with a repeated dash symbol (see icons), so a solid line
+ * is one dash repeated every `weight` pixels.
+ *
+ * @method {makePolylineOptions}
+ * @param {Object} style The line style:
+ *   - `color` {string} The colour of the line.
+ *   - `weight` {number} The width of the line in pixels.
+ *   - `opacity` {number} The opacity of the line [0, 1].
+ *   - `dash` {string|Array.<number>} The dash pattern: the dash and gap
+ *     lengths in pixels (e.g. `'8 4'`). If null (or `'none'`), the line is
+ *     solid.
+ *   - `arrows` {boolean} If true, the line ends in an arrowhead, pointing in
+ *     the direction of travel.
+ *   - `geodesic` {boolean} If true, the line follows great circles, otherwise
+ *     it is straight on the map.
+ * @param {boolean} reversed If true, the path of the line is in the reverse
+ *     of the direction of travel.
+ * @returns {google.maps.PolylineOptions} The polyline options.
+ */
+function makePolylineOptions(style, reversed) {
+  var dash = style.dash;
+  if (typeof dash == 'string') dash = dash.trim().split(/[\s,]+/).map(Number);
+  dash = (dash && dash[0] > 0) ? dash : [style.weight, 0];
+  var stroke = {
+    strokeColor: style.color,
+    strokeOpacity: style.opacity,
+    strokeWeight: style.weight
+  };
+  var icons = [{
+    icon: mergeLineStyles(stroke, {
+      path: 'M 0,0 0,1',  // This is the SVG for a dash.
+      scale: dash[0]
+    }),
+    offset: '0px',
+    repeat: (dash[0] + (dash[1] || 0)) + 'px'
+  }];
+  if (style.arrows) {
+    icons.push({
+      icon: mergeLineStyles(stroke, {
+        path: reversed ? MapAdapter.api.SymbolPath.BACKWARD_CLOSED_ARROW :
+            MapAdapter.api.SymbolPath.FORWARD_CLOSED_ARROW,
+        fillColor: style.color,
+        fillOpacity: style.opacity,
+        scale: style.weight
+      }),
+      offset: reversed ? '0%' : '100%'
+    });
+  }
+  return {
+    geodesic: style.geodesic,
+    strokeOpacity: 0,  // The line underneath the dashes is not visible.
+    icons: icons
+  };
+}
+
+/**
+ * Joins the paths of the runs a line is drawn in into a single path.
+ *
+ * @method {joinLinePaths}
+ * @param {!Array.<google.maps.Polyline>} lines The polylines of the runs, in
+ *     order. Each run starts where the run before it ends.
+ * @returns {!Array.<google.maps.LatLng>} The path of the line.
+ */
+function joinLinePaths(lines) {
+  return lines.reduce(function(path, line, index) {
+    var points = line.getPath().getArray();
+    return path.concat(index ? points.slice(1) : points);
+  }, []);
+}
+
 /**
  * LinearAnimationManager
  * The manager controls a single linear line animation and coordinates this
@@ -197,13 +925,46 @@ function getPointOnLine(polyline, index) {
  *    NOTE: Uses isUpdateRequiredIfRemoveAt in removeAt to check if it needs
  *    to first update the current location before continuing with the removal.
  *
+ * Legs:
+ *  - The leg leading to each location can follow a route (given in the leg
+ *    options of insertAt and setAt), instead of a single geodesic segment.
+ *  - Each leg can have its own duration (or speed) and easing, otherwise the
+ *    manager's `duration`, `speed` and `easing` are used.
+ *  - The indices of the path are the indices of the locations, not of the
+ *    vertices of the routes.
+ *
+ * Lines:
+ *  - The travelled and upcoming lines are styled by `travelledLine` and
+ *    `upcomingLine`. Each leg can override them (in its leg options), so
+ *    each line is drawn as runs of legs of the same style, one polyline per
+ *    run.
+ *
+ * Events (triggered with google.maps.event, with a detail object):
+ *  - `transition-start`: it starts moving to the location at `index`, with a
+ *    line animation if `animated`.
+ *  - `transition-end`: it has arrived at the location at `index`, and the
+ *    camera has settled. A transition cut short by another has none.
+ *  - `animation-progress`: the head of the line has moved to `position`, at
+ *    `offset` along the leg leading to `index`.
+ *  - `paused` and `resumed`: the line animation to `index` was paused at
+ *    `offset`, or resumed.
+ *
  * @constructor
  * @param {google.maps.Map} map The map the animations and transitions occur on.
  */
 function LinearAnimationManager(map) {
   this._mapTransitionManager = new MapTransitionManager(map);
-  this._prevLine = this.makePolyline(0.6);
-  this._nextLine = this.makePolyline(0.2);
+  this._prevPath = new MapAdapter.api.MVCArray();
+  this._nextPath = new MapAdapter.api.MVCArray();
+  this._legs = [];
+  this._travelledLine = mergeLineStyles(LineStyle.travelled);
+  this._upcomingLine = mergeLineStyles(LineStyle.upcoming);
+  this._prevLine = this.makePolyline(this._travelledLine);
+  this._nextLine = this.makePolyline(this._upcomingLine, true);
+  this._prevLines = [this._prevLine];
+  this._nextLines = [this._nextLine];
+  this._prevLineStyles = [this._travelledLine];
+  this._nextLineStyles = [this._upcomingLine];
 }
 
 LinearAnimationManager.prototype = {
@@ -229,6 +990,49 @@ LinearAnimationManager.prototype = {
    */
   _ANIMATION_TIME_MS: 3000,
 
+  /**
+   * The ground speed of the line animations in metres per second.
+   * If set (> 0), the duration of each line animation is worked out from the
+   * length of its leg instead of `_ANIMATION_TIME_MS`.
+   *
+   * @property {_speed}
+   * @type {number}
+   * @default {0}
+   */
+  _speed: 0,
+
+  /**
+   * The easing of the line animations (see `Easing`).
+   *
+   * @property {_easing}
+   * @type {string|Function}
+   * @default {'linear'}
+   */
+  _easing: 'linear',
+
+  /**
+   * How the progress through the whole path is weighted (see `seek`):
+   *   - `distance`: each leg by its ground distance.
+   *   - `time`: each leg by the duration of its line animation.
+   *
+   * @property {_progressWeighting}
+   * @type {string}
+   * @default {'distance'}
+   */
+  _progressWeighting: 'distance',
+
+  /**
+   * The time compression of the line animations: the real time that passes
+   * in a millisecond of animation. If set (> 0), the duration of each leg
+   * whose locations have times (see `_legs`) is its real elapsed time
+   * divided by the time scale.
+   *
+   * @property {_timeScale}
+   * @type {number}
+   * @default {0}
+   */
+  _timeScale: 0,
+
   /**
    * The intervalId of the current line animation frame, if it is animated.
    *
@@ -249,8 +1053,125 @@ LinearAnimationManager.prototype = {
   _offset: 0,
 
   /**
-   * The polyline containing the points of the previous locations
-   *  - i.e. the points with index <= the current index
+   * The path of the previous locations
+   *  - i.e. the locations with index <= the current index
+   *  - if it is not idle, the last point is the waypoint of the animation.
+   *
+   * @property {_prevPath}
+   * @type {google.maps.MVCArray}
+   * @default {null}
+   */
+  _prevPath: null,
+
+  /**
+   * The path of the next locations, from the last location backwards:
+   *  - i.e. the locations with index >= the current index
+   *  - if it is not idle, the last point is the waypoint of the animation.
+   *
+   * @property {_nextPath}
+   * @type {google.maps.MVCArray}
+   * @default {null}
+   */
+  _nextPath: null,
+
+  /**
+   * The options of the leg leading to each location, by location index:
+   *   - `route` {Array.<google.maps.LatLng>} The vertices of the route from
+   *     the previous location to this location.
+   *   - `duration` {number} The duration of the leg's animation in ms.
+   *   - `speed` {number} The ground speed of the leg's animation in metres per
+   *     second. Only used if there is no duration.
+   *   - `easing` {string|Function} The easing of the leg's animation.
+   *   - `zoom` {number} The zoom to land at on arriving at the location, if
+   *     the camera strategy zooms (see `TransitionStrategy`).
+   *   - `bounds` {google.maps.LatLngBounds} The bounds of the area at the
+   *     location, if it is one: they are framed instead of the zoom.
+   *   - `traveller` {string|Object} The icon of the traveller on the leg.
+   *   - `travelledLine` {Object} The style of the leg once travelled, over
+   *     the manager's `travelledLine` (see `makePolylineOptions`).
+   *   - `upcomingLine` {Object} The style of the leg while upcoming, over the
+   *     manager's `upcomingLine`.
+   *   - `time` {number} The time of the location, in milliseconds since the
+   *     epoch (see `_timeScale` and `getTime`).
+   *
+   * @property {_legs}
+   * @type {Array.<Object>}
+   * @default {null}
+   */
+  _legs: null,
+
+  /**
+   * The distance from the start to each location along the path (with the
+   * routes of its legs) in metres, or null until it is needed once the
+   * locations or legs change (see `_getDistances`).
+   *
+   * @property {_distances}
+   * @type {Array.<number>}
+   * @default {null}
+   */
+  _distances: null,
+
+  /**
+   * The animating leg, split at the waypoint (see `splitRoute`).
+   * (Only applies if the transition state is not idle.)
+   *
+   * @property {_legSplit}
+   * @type {Object}
+   * @default {null}
+   */
+  _legSplit: null,
+
+  /**
+   * The icon of the traveller riding the head of the line (see
+   * `makeTravellerIcon`). If null, there is no traveller.
+   *
+   * @property {_travellerIcon}
+   * @type {string|Object}
+   * @default {null}
+   */
+  _travellerIcon: null,
+
+  /**
+   * The marker of the traveller, if there is one.
+   *
+   * @property {_traveller}
+   * @type {google.maps.Marker}
+   * @default {null}
+   */
+  _traveller: null,
+
+  /**
+   * The heading of the traveller in degrees - the heading of the line, in the
+   * direction of the animation, at the waypoint.
+   *
+   * @property {_heading}
+   * @type {number}
+   * @default {0}
+   */
+  _heading: 0,
+
+  /**
+   * The style of the travelled line (see `makePolylineOptions`).
+   *
+   * @property {_travelledLine}
+   * @type {Object}
+   * @default {null}
+   */
+  _travelledLine: null,
+
+  /**
+   * The style of the upcoming line (see `makePolylineOptions`).
+   *
+   * @property {_upcomingLine}
+   * @type {Object}
+   * @default {null}
+   */
+  _upcomingLine: null,
+
+  /**
+   * The polyline rendering the previous locations and the routes between them
+   * (see `_prevPath`). If legs override the style of the line, it only renders
+   * the first run of legs of the same style (see `_prevLines`).
    *
    * @property {_prevLine}
    * @type {google.maps.Polyline}
@@ -259,14 +1180,64 @@ LinearAnimationManager.prototype = {
   _prevLine: null,
 
   /**
-   * The polyline containing the points of the next locations:
-   *  - i.e. the points with index >= the current index
+   * The polyline rendering the next locations and the routes between them
+   * (see `_nextPath`). If legs override the style of the line, it only renders
+   * the first run of legs of the same style (see `_nextLines`).
+   *
+   * @property {_nextLine}
+   * @type {google.maps.Polyline}
+   * @default {null}
+   */
+  _nextLine: null,
+
+  /**
+   * The polylines rendering the runs of the previous line, starting with
+   * `_prevLine`.
+   *
+   * @property {_prevLines}
+   * @type {Array.<google.maps.Polyline>}
+   * @default {null}
+   */
+  _prevLines: null,
+
+  /**
+   * The polylines rendering the runs of the next line, starting with
+   * `_nextLine`.
+   *
+   * @property {_nextLines}
+   * @type {Array.<google.maps.Polyline>}
+   * @default {null}
+   */
+  _nextLines: null,
+
+  /**
+   * The styles the polylines of `_prevLines` were last drawn in.
+   *
+   * @property {_prevLineStyles}
+   * @type {Array.<Object>}
+   * @default {null}
+   */
+  _prevLineStyles: null,
+
+  /**
+   * The styles the polylines of `_nextLines` were last drawn in.
+   *
+   * @property {_nextLineStyles}
+   * @type {Array.<Object>}
+   * @default {null}
+   */
+  _nextLineStyles: null,
+
+  /**
+   * The number of points the animating leg takes up at the end of the last
+   * polylines of the previous and next lines, as last rendered, or null if
+   * the lines were last rendered idle (see `_renderHead`).
    *
-   * @property {_nextLine}
-   * @type {google.maps.Polyline}
+   * @property {_splitTails}
+   * @type {?{prev: number, next: number}}
    * @default {null}
    */
-  _nextLine: null,
+  _splitTails: null,
 
   /**
    * The direction of the animation.  If true, the animation is going to
@@ -294,10 +1265,9 @@ LinearAnimationManager.prototype = {
    * @param {google.maps.Map} map The map on which the transitions occur.
    */
   set map(map) {
-    map = (map instanceof google.maps.Map) ? map : null;
-    this._prevLine.setMap(map);
-    this._nextLine.setMap(map);
+    map = (map instanceof MapAdapter.api.Map) ? map : null;
     this._mapTransitionManager.map = map;
+    this._renderLines();
   },
 
   /**
@@ -307,6 +1277,166 @@ LinearAnimationManager.prototype = {
     return this._mapTransitionManager.map;
   },
 
+  /**
+   * Sets the strategy of the camera moves (see `TransitionStrategy`).
+   *
+   * @param {string|Object} transition The name of a strategy, or a custom
+   *     strategy.
+   */
+  set transition(transition) {
+    this._mapTransitionManager.strategy = transition;
+  },
+
+  /**
+   * @returns {Object} The strategy of the camera moves.
+   */
+  get transition() {
+    return this._mapTransitionManager.strategy;
+  },
+
+  /**
+   * Sets the style of the travelled line, and restyles the line on the map.
+   *
+   * @param {Object} style The line style (see `makePolylineOptions`). Its
+   *     unset properties are taken from `LineStyle.travelled`.
+   */
+  set travelledLine(style) {
+    this._travelledLine = mergeLineStyles(LineStyle.travelled, style);
+    this._renderLines();
+  },
+
+  /**
+   * @returns {Object} The style of the travelled line.
+   */
+  get travelledLine() {
+    return this._travelledLine;
+  },
+
+  /**
+   * Sets the style of the upcoming line, and restyles the line on the map.
+   *
+   * @param {Object} style The line style (see `makePolylineOptions`). Its
+   *     unset properties are taken from `LineStyle.upcoming`.
+   */
+  set upcomingLine(style) {
+    this._upcomingLine = mergeLineStyles(LineStyle.upcoming, style);
+    this._renderLines();
+  },
+
+  /**
+   * @returns {Object} The style of the upcoming line.
+   */
+  get upcomingLine() {
+    return this._upcomingLine;
+  },
+
+  /**
+   * Sets the traveller riding the head of the line. It is rotated to the
+   * heading of the line, stays while paused, and parks on the current location
+   * once the animation finishes.
+   *
+   * @param {string|Object} traveller The icon of the traveller (see
+   *     `makeTravellerIcon`), or null for no traveller. The leg options can
+   *     override it for each leg.
+   */
+  set traveller(traveller) {
+    this._travellerIcon = traveller || null;
+    this._updateTraveller();
+  },
+
+  /**
+   * @returns {string|Object} The icon of the traveller.
+   */
+  get traveller() {
+    return this._travellerIcon;
+  },
+
+  /**
+   * Sets the default duration of the line animations.
+   *
+   * @param {number} duration The duration in milliseconds. If not > 0, the
+   *     duration is reset to the default.
+   */
+  set duration(duration) {
+    if (duration > 0) this._ANIMATION_TIME_MS = Number(duration);
+    else delete this._ANIMATION_TIME_MS;
+  },
+
+  /**
+   * @returns {number} The default duration of the line animations in ms.
+   */
+  get duration() {
+    return this._ANIMATION_TIME_MS;
+  },
+
+  /**
+   * Sets the default ground speed of the line animations.
+   *
+   * @param {number} speed The speed in metres per second. If not > 0, the
+   *     default duration is used instead.
+   */
+  set speed(speed) {
+    this._speed = speed > 0 ? Number(speed) : 0;
+  },
+
+  /**
+   * @returns {number} The default ground speed of the line animations.
+   */
+  get speed() {
+    return this._speed;
+  },
+
+  /**
+   * Sets the default easing of the line animations.
+   *
+   * @param {string|Function} easing The name of an easing curve (see
+   *     `Easing`), or a custom easing function.
+   */
+  set easing(easing) {
+    this._easing = easing || 'linear';
+  },
+
+  /**
+   * @returns {string|Function} The default easing of the line animations.
+   */
+  get easing() {
+    return this._easing;
+  },
+
+  /**
+   * Sets how the progress through the whole path is weighted.
+   *
+   * @param {string} weighting `distance` or `time` (see `_progressWeighting`).
+   */
+  set progressWeighting(weighting) {
+    this._progressWeighting = weighting == 'time' ? 'time' : 'distance';
+  },
+
+  /**
+   * @returns {string} How the progress through the whole path is weighted.
+   */
+  get progressWeighting() {
+    return this._progressWeighting;
+  },
+
+  /**
+   * Sets the time compression of the line animations.
+   *
+   * @param {number} timeScale The real time that passes in a millisecond of
+   *     animation (see `_timeScale`). If not > 0, the legs' durations do not
+   *     depend on their times.
+   */
+  set timeScale(timeScale) {
+    this._timeScale = timeScale > 0 ? Number(timeScale) : 0;
+  },
+
+  /**
+   * @returns {number} The time compression of the line animations.
+   */
+  get timeScale() {
+    return this._timeScale;
+  },
+
   /**
    * Sets the index of the current location - no line animation shown.
    * Fits the bounds to the current active location
@@ -318,20 +1448,304 @@ LinearAnimationManager.prototype = {
    * the completion of the transition.
    */
   setCurrentIndex: function(index, onTransitionComplete) {
+    var locations = [this._jumpTo(index)];
+    index = this.getCurrentIndex();
+    locations.push(this._getLocation(index));
+    this._trigger('transition-start', {index: index, animated: false});
+    this._mapTransitionManager.transitionTo(locations, this._getLegZoom(index),
+        this._endTransition.bind(this, index, onTransitionComplete),
+        this._getLegBounds(index));
+  },
+
+  /**
+   * Places the head of the line part way along the leg leading to the given
+   * index, as if its line animation were paused there. This lets something
+   * other than the animation timer (e.g. scrolling) drive the line. Any line
+   * animation in progress is stopped first, wherever it is, so the offset can
+   * jump between legs.
+   * An offset of 0 or 1 leaves the manager idle at the start or the end of the
+   * leg.
+   *
+   * @method {setOffset}
+   * @param {number} index The index of the location the leg leads to.
+   * @param {number} offset The fraction [0, 1] of the leg's ground distance.
+   */
+  setOffset: function(index, offset) {
+    if (this.length < 2) return;
+    index = Math.max(1, Math.min(index, this.length - 1));
+    offset = Math.max(0, Math.min(offset, 1));
+    this._mapTransitionManager.removeIdleBehavior();
+    if (offset === 0 || offset === 1) {
+      var target = offset ? index : index - 1;
+      if (!this.isIdle() || this.getCurrentIndex() != target) {
+        this._jumpTo(target);
+      }
+      return;
+    }
+    if (this.isIdle() || this._prevPath.length - 1 != index) {
+      this._jumpTo(index - 1);
+      this._forward = true;
+      this._prevPath.push(getPointOnPath(this._prevPath, - 1));
+      this._state = TransitionState.PAUSED;
+      this._mapTransitionManager.frameSegment(
+          getPointOnPath(this._prevPath, - 2),
+          getPointOnPath(this._nextPath, - 2));
+    } else {
+      this.pause();
+    }
+    this._offset = offset;
+    this._updateWaypoint();
+    this._mapTransitionManager.follow(this._legSplit.waypoint);
+  },
+
+  /**
+   * Seeks to the given progress through the whole path, weighted by distance
+   * or time (see `progressWeighting`). Part way along a leg, the line is held
+   * there as if its animation were paused (see `setOffset`).
+   *
+   * @method {seek}
+   * @param {number} progress The progress [0, 1] through the whole path.
+   */
+  seek: function(progress) {
+    if (this.length < 2) return;
+    var weights = this._getLegWeights();
+    var total = weights.reduce(function(sum, weight) {
+      return sum + weight;
+    }, 0);
+    if (!(total > 0)) {
+      this.setOffset(Math.round(progress * (this.length - 1)) || 1,
+          progress > 0 ? 1 : 0);
+      return;
+    }
+    if (progress >= 1) {
+      this.setOffset(this.length - 1, 1);
+      return;
+    }
+    var remaining = Math.max(0, progress) * total;
+    for (var index = 1; index < this.length - 1; ++index) {
+      if (remaining < weights[index]) break;
+      remaining -= weights[index];
+    }
+    var fraction = weights[index] ? Math.min(1, remaining / weights[index]) : 1;
+    // Land on a location (idle) when seeking to its progress (see
+    // `getProgressAt`), despite rounding.
+    if (fraction > 1 - SEEK_PRECISION) fraction = 1;
+    else if (fraction < SEEK_PRECISION) fraction = 0;
+    if (this._progressWeighting == 'time') {
+      fraction = this._getLegEasing(index)(fraction);
+    }
+    this.setOffset(index, fraction);
+  },
+
+  /**
+   * Gets the progress through the whole path, weighted by distance or time
+   * (see `progressWeighting`).
+   *
+   * @method {getProgress}
+   * @returns {number} The progress [0, 1] of the head of the line.
+   */
+  getProgress: function() {
+    if (this.isIdle()) return this.getProgressAt(this.getCurrentIndex());
+    var index = this._prevPath.length - 1;
+    var fraction = this._offset;
+    if (this._progressWeighting == 'time') {
+      fraction = invertEasing(this._getLegEasing(index), fraction);
+    }
+    var from = this.getProgressAt(index - 1);
+    return from + (this.getProgressAt(index) - from) * fraction;
+  },
+
+  /**
+   * @method {getProgressAt}
+   * @param {number} index The index of a location.
+   * @returns {number} The progress [0, 1] through the whole path at the
+   *     location (see `progressWeighting`).
+   */
+  getProgressAt: function(index) {
+    if (this.length < 2) return 0;
+    var weights = this._getLegWeights();
+    var total = 0;
+    var before = 0;
+    weights.forEach(function(weight, i) {
+      total += weight;
+      if (i <= index) before += weight;
+    });
+    return total > 0 ? before / total : index / (this.length - 1);
+  },
+
+  /**
+   * @method {getPosition}
+   * @returns {google.maps.LatLng} The head of the line: the waypoint, or the
+   *     current location if it is idle.
+   */
+  getPosition: function() {
+    return getPointOnPath(this._prevPath, - 1);
+  },
+
+  /**
+   * Gets the paths of the travelled and upcoming lines as they are drawn, with
+   * the routes of their legs, e.g. to draw the journey on another map.
+   *
+   * @method {getLinePaths}
+   * @returns {{travelled: !Array.<google.maps.LatLng>,
+   *     upcoming: !Array.<google.maps.LatLng>}} The paths of the lines. The
+   *     upcoming line runs from the end of the path back to the head of the
+   *     line.
+   */
+  getLinePaths: function() {
+    return {
+      travelled: joinLinePaths(this._prevLines),
+      upcoming: joinLinePaths(this._nextLines)
+    };
+  },
+
+  /**
+   * Gets the time at the head of the line: the time of the current location,
+   * or, during a line animation, the time interpolated between the times of
+   * the animating leg's locations by how much of the leg's animation time has
+   * passed (so the clock runs steadily, whatever the easing).
+   *
+   * @method {getTime}
+   * @returns {?number} The time in milliseconds since the epoch, or null if
+   *     the location (or either location of the animating leg) has no time.
+   */
+  getTime: function() {
+    if (this.isIdle()) return this._getTime(this.getCurrentIndex());
+    var legIndex = this._prevPath.length - 1;
+    var from = this._getTime(legIndex - 1);
+    var to = this._getTime(legIndex);
+    if (from == null || to == null) return null;
+    var fraction = invertEasing(this._getLegEasing(legIndex), this._offset);
+    return from + (to - from) * fraction;
+  },
+
+  /**
+   * Gets the statistics of the journey at the head of the line. The leg is
+   * the animating leg, or, if it is idle, the leg leading to the current
+   * location (the first leg at the first location). Distances are along the
+   * lines as they are drawn, with the routes of their legs.
+   *
+   * @method {getStats}
+   * @returns {{index: number, legDistance: number, legTravelled: number,
+   *     distance: number, remaining: number, bearing: ?number, eta: ?number,
+   *     arrivesIn: ?number}}
+   *     The statistics:
+   *       - `index` The index of the location the leg leads to (0 if there
+   *         is no leg).
+   *       - `legDistance` The length of the leg in metres.
+   *       - `legTravelled` The distance travelled along the leg in metres.
+   *       - `distance` The distance travelled from the start in metres.
+   *       - `remaining` The distance left to the end in metres.
+   *       - `bearing` The initial bearing of the leg in degrees clockwise from
+   *         north [0, 360), or null if there is no leg.
+   *       - `eta` The time of the location the leg leads to, in milliseconds
+   *         since the epoch, or null if it has none (it is the time of the
+   *         story, so only locations with times have one).
+   *       - `arrivesIn` The animation time left on the animating leg in
+   *         milliseconds, or null if it is idle.
+   */
+  getStats: function() {
+    var spherical = MapAdapter.api.geometry.spherical;
+    // The lengths of the legs are kept, so only the animating leg is measured.
+    var distances = this._getDistances();
+    var total = distances.length ? distances[distances.length - 1] : 0;
+    var idle = this.isIdle();
+    var index = idle ? this.getCurrentIndex() : this._prevPath.length - 1;
+    if (idle && index == 0 && this.length > 1) index = 1;
+    var stats = {
+      index: Math.max(0, index),
+      legDistance: 0,
+      legTravelled: 0,
+      distance: 0,
+      remaining: total,
+      bearing: null,
+      eta: null,
+      arrivesIn: null
+    };
+    if (index < 1) return stats;
+    var from = this._getLocation(index - 1);
+    var route = this._getRoute(index);
+    var to = this._getLocation(index);
+    stats.legDistance = distances[index] - distances[index - 1];
+    if (!idle) {
+      stats.legTravelled = spherical.computeLength([from].concat(
+          this._legSplit.before, [this._legSplit.waypoint]));
+      var progress = this._forward ? this._offset : 1 - this._offset;
+      stats.arrivesIn = this._getLegDuration(index) *
+          (1 - invertEasing(this._getLegEasing(index), progress));
+    } else if (index <= this.getCurrentIndex()) {
+      stats.legTravelled = stats.legDistance;
+    }
+    stats.distance = distances[index - 1] + stats.legTravelled;
+    stats.remaining = Math.max(0, total - stats.distance);
+    var bearing = spherical.computeHeading(from, route.length ? route[0] : to);
+    stats.bearing = (bearing % 360 + 360) % 360;
+    stats.eta = this._getTime(index);
+    return stats;
+  },
+
+  /**
+   * @method {_getDistances}
+   * @returns {!Array.<number>} The distance from the start to each location
+   *     in metres (see `_distances`).
+   */
+  _getDistances: function() {
+    if (!this._distances) {
+      var spherical = MapAdapter.api.geometry.spherical;
+      this._distances = [];
+      for (var index = 0; index < this.length; ++index) {
+        this._distances.push(index < 1 ? 0 : this._distances[index - 1] +
+            spherical.computeLength([this._getLocation(index - 1)].concat(
+                this._getRoute(index), [this._getLocation(index)])));
+      }
+    }
+    return this._distances;
+  },
+
+  /**
+   * Gets the weights of the legs for the progress through the whole path
+   * (see `progressWeighting`).
+   *
+   * @method {_getLegWeights}
+   * @returns {!Array.<number>} The weight of the leg leading to each index
+   *     (0 for the first).
+   */
+  _getLegWeights: function() {
+    var weights = [0];
+    var distances = this._getDistances();
+    for (var index = 1; index < this.length; ++index) {
+      if (this._progressWeighting == 'time') {
+        weights.push(this._getLegDuration(index));
+      } else {
+        weights.push(distances[index] - distances[index - 1]);
+      }
+    }
+    return weights;
+  },
+
+  /**
+   * Moves the line straight to the given index, with no map transition.
+   * Any line animation in progress is finished first.
+   *
+   * @method {_jumpTo}
+   * @param {number} index The index of the location to move to.
+   * @returns {google.maps.LatLng} The location the line was at.
+   */
+  _jumpTo: function(index) {
     this.finishAnimation(false);
-    var prevPath = this._prevLine.getPath().getArray().slice();
-    var nextPath = this._nextLine.getPath().getArray().slice();
-    var locations = [nextPath.pop()];
+    var prevPath = this._prevPath.getArray().slice();
+    var nextPath = this._nextPath.getArray().slice();
+    var from = nextPath.pop();
     var totalPath = prevPath.concat(nextPath.reverse());
     index = Math.max(0, Math.min(index, totalPath.length - 1));
-    // Previous line path contains the points up to and including index
-    this._prevLine.setPath(totalPath.slice(0, index + 1));
-    // Next line path contains the points from the end to the index (inclusive)
+    // Previous path contains the points up to and including index
+    this._prevPath = new MapAdapter.api.MVCArray(totalPath.slice(0, index + 1));
+    // Next path contains the points from the end to the index (inclusive)
     // The path is reversed with the first point being the end of the total path
-    this._nextLine.setPath(totalPath.slice(index).reverse());
-
-    locations.push(totalPath[index]);
-    this._mapTransitionManager.fitBounds(locations, true, onTransitionComplete);
+    this._nextPath = new MapAdapter.api.MVCArray(
+        totalPath.slice(index).reverse());
+    this._renderLines();
+    return from;
   },
 
   /**
@@ -342,7 +1756,7 @@ LinearAnimationManager.prototype = {
    * @return {number} The index of the current location.
    */
   getCurrentIndex: function() {
-    var index = this._prevLine.getPath().length - 1;
+    var index = this._prevPath.length - 1;
     if (this.isIdle() || this._forward) return index;
     return index - 1;
   },
@@ -353,8 +1767,8 @@ LinearAnimationManager.prototype = {
    * @return {number} The length of the total path.
    */
   get length() {
-    var length = this._prevLine.getPath().length +
-        this._nextLine.getPath().length - 1;
+    var length = this._prevPath.length +
+        this._nextPath.length - 1;
     if (length < 0) return 0;
     return this.isIdle() ? length : (length - 1);
   },
@@ -415,10 +1829,13 @@ LinearAnimationManager.prototype = {
    */
   clear: function() {
     this._cancelAnimation();
-    this._prevLine.getPath().clear();
-    this._nextLine.getPath().clear();
+    this._prevPath.clear();
+    this._nextPath.clear();
+    this._legs = [];
+    this._distances = null;
     this._mapTransitionManager.removeIdleBehavior();
     this._state = TransitionState.IDLE;
+    this._renderLines();
   },
 
   /**
@@ -439,18 +1856,23 @@ LinearAnimationManager.prototype = {
    *     Note: If the index < 0, it inserts at the beginning of the path.
    *     If the index > last index, it inserts the point at the end of the path.
    * @param {google.maps.LatLng} location The location to insert.
+   * @param {Object} legOptions (Optional) The options of the leg leading to the
+   *     location (see `_legs`).
    */
-  insertAt: function(index, location) {
+  insertAt: function(index, location, legOptions) {
     if (!location) return;
-    var currentIndex = this._prevLine.getPath().length - 1;
+    var legIndex = Math.max(0, Math.min(index, this.length));
+    this._legs.splice(legIndex, 0, legOptions || null);
+    this._distances = null;
+    var currentIndex = this._prevPath.length - 1;
     if (currentIndex < 0) {  // If it is the first point to be inserted.
-      this._prevLine.getPath().insertAt(0, location);
-      this._nextLine.getPath().insertAt(0, location);
+      this._prevPath.insertAt(0, location);
+      this._nextPath.insertAt(0, location);
     } else if (index > currentIndex) {
       var reverseIndex = this.length - index;
-      this._nextLine.getPath().insertAt(reverseIndex, location);
+      this._nextPath.insertAt(reverseIndex, location);
     } else {
-      this._prevLine.getPath().insertAt(index, location);
+      this._prevPath.insertAt(index, location);
     }
     // If the manager is not idle and the animating line segment's
     // end points have changed, update the waypoint and the viewport.
@@ -459,6 +1881,7 @@ LinearAnimationManager.prototype = {
       this._updateWaypoint();
       this._panToAnimatingLineSegment();
     }
+    this._renderLines();
   },
 
   /**
@@ -468,19 +1891,27 @@ LinearAnimationManager.prototype = {
    * @method {setAt}
    * @param {number} index The positive index at which to set the location.
    * @param {!google.maps.LatLng} location The location to set.
+   * @param {Object} legOptions (Optional) If given, replaces the options of the
+   *     leg leading to the location (see `_legs`).
+   * @param {boolean} keepCamera (Optional) If true, the map is not panned to
+   *     the location when it is the current one.
    */
-  setAt: function(index, location) {
+  setAt: function(index, location, legOptions, keepCamera) {
     if (!location) return;
-    var currentIndex = this._prevLine.getPath().length - 1;
+    if (legOptions !== undefined && index >= 0 && index < this._legs.length) {
+      this._legs[index] = legOptions;
+    }
+    this._distances = null;
+    var currentIndex = this._prevPath.length - 1;
     if (index === currentIndex && this.isIdle()) {
-      setLast(this._prevLine, location);
-      setLast(this._nextLine, location);
-      this._mapTransitionManager.panTo(location);
+      setLast(this._prevPath, location);
+      setLast(this._nextPath, location);
+      if (!keepCamera) this._mapTransitionManager.panTo(location);
     } else if (index < currentIndex) {
-      this._prevLine.getPath().setAt(index, location);
+      this._prevPath.setAt(index, location);
     } else {
       var reverseIndex = this.length - index - 1;
-      this._nextLine.getPath().setAt(reverseIndex, location);
+      this._nextPath.setAt(reverseIndex, location);
     }
     // If the manager is not idle and the animating line segment's
     // end points have changed, update the waypoint and the viewport.
@@ -489,6 +1920,7 @@ LinearAnimationManager.prototype = {
       this._updateWaypoint();
       this._panToAnimatingLineSegment();
     }
+    this._renderLines();
   },
 
   /**
@@ -512,7 +1944,7 @@ LinearAnimationManager.prototype = {
     if (index >= totalLength) return false;  // Invalid index.
     if (totalLength <= 1) return false;
     if (index < 0) index = 0;
-    var currentIndex = this._prevLine.getPath().length - 1;
+    var currentIndex = this._prevPath.length - 1;
     if (this.isIdle()) {
       // If the manager is idle and it is the current index.
       return (index === currentIndex);
@@ -547,7 +1979,7 @@ LinearAnimationManager.prototype = {
       return;
     }
     if (index < 0) index = 0;
-    var currentIndex = this._prevLine.getPath().length - 1;
+    var currentIndex = this._prevPath.length - 1;
     // Update the current index if one of the following conditions is satisfied.
     if (this.isUpdateRequiredIfRemoveAt(index)) {
       // Set current at the previous location (or the next - if no previous)
@@ -556,11 +1988,13 @@ LinearAnimationManager.prototype = {
     }
     // Remove the location at the given index.
     if (index < currentIndex) {
-      this._prevLine.getPath().removeAt(index);
+      this._prevPath.removeAt(index);
     } else {
       var reverseIndex = totalLength - index - 1;
-      this._nextLine.getPath().removeAt(reverseIndex);
+      this._nextPath.removeAt(reverseIndex);
     }
+    this._legs.splice(index, 1);
+    this._distances = null;
     // If the manager is not idle and the animating line segment's
     // end points have changed, update the waypoint and the viewport.
     if (!this.isIdle() &&
@@ -568,33 +2002,22 @@ LinearAnimationManager.prototype = {
       this._updateWaypoint();
       this._panToAnimatingLineSegment();
     }
+    this._renderLines();
   },
 
   /**
-   * Makes a polyline with the given opacity.
+   * Makes a polyline in the given style.
    *
    * @method {makePolyline}
-   * @param {number} opacity The opacity of the polyline.
+   * @param {Object} style The line style (see `makePolylineOptions`).
+   * @param {boolean} reversed If true, the path of the polyline is in the
+   *     reverse of the direction of travel.
    * @returns {google.maps.Polyline} The polyline created.
    */
-  makePolyline: function(opacity) {
-    var dash = {
-      path: 'M 0,0 0,1',  // This is the SVG for a dash.
-      strokeOpacity: opacity,
-      scale: 2
-    };
-    // The dash symbol (see icons) is repeated every 2px to form a solid line.
-    var lineOptions = {
-      map: this.map,
-      geodesic: true,
-      strokeOpacity: 0,  // The line underneath the dashes is not visible.
-      icons: [{
-        icon: dash,
-        offset: '0px',
-        repeat: '2px'
-      }]
-    };
-    return new google.maps.Polyline(lineOptions);
+  makePolyline: function(style, reversed) {
+    var lineOptions = makePolylineOptions(style, reversed);
+    lineOptions.map = this.map;
+    return new MapAdapter.api.Polyline(lineOptions);
   },
 
   /**
@@ -602,7 +2025,7 @@ LinearAnimationManager.prototype = {
    * @returns {boolean} If true, the line has a next location.
    */
   hasNext: function() {
-    var nextPathLength = this._nextLine.getPath().length;
+    var nextPathLength = this._nextPath.length;
     if (this.isAnimating() && this._forward) {
       return nextPathLength > 2;
     }
@@ -614,7 +2037,7 @@ LinearAnimationManager.prototype = {
    * @returns {boolean} If true, the line has a previous location.
    */
   hasPrev: function() {
-    var prevPathLength = this._prevLine.getPath().length;
+    var prevPathLength = this._prevPath.length;
     if (this.isAnimating() && !this._forward) {
       return prevPathLength > 2;
     }
@@ -652,6 +2075,12 @@ LinearAnimationManager.prototype = {
    */
   pause: function() {
     if (this.isIdle()) return;
+    if (this.isAnimating()) {
+      this._trigger('paused', {
+        index: this.getCurrentIndex(),
+        offset: this._offset
+      });
+    }
     this._state = TransitionState.PAUSED;
     this._cancelAnimation();
     this._mapTransitionManager.removeIdleBehavior();
@@ -664,23 +2093,319 @@ LinearAnimationManager.prototype = {
    */
   _panToAnimatingLineSegment: function() {
     if (!this.isAnimating()) return;
-    this._mapTransitionManager.fitBounds([getPointOnLine(this._prevLine, - 2),
-        getPointOnLine(this._nextLine, - 2)], false);
+    this._mapTransitionManager.frameSegment(
+        getPointOnPath(this._prevPath, - 2),
+        getPointOnPath(this._nextPath, - 2));
   },
 
   /**
    * Updates the waypoint of the polyline if it is not idle.
    * This is used during animations and if the polyline is paused
+   * The waypoint is at `_offset` of the ground distance along the route of the
+   * animating leg.
    *
    * @method {_updateWaypoint}
    */
   _updateWaypoint: function() {
     if (this.isIdle()) return;
-    var wayPoint = new google.maps.geometry.spherical.interpolate(
-        getPointOnLine(this._prevLine, - 2),
-        getPointOnLine(this._nextLine, - 2), this._offset);
-    setLast(this._nextLine, wayPoint);
-    setLast(this._prevLine, wayPoint);
+    var legIndex = this._prevPath.length - 1;
+    this._legSplit = splitRoute(getPointOnPath(this._prevPath, - 2),
+        this._getRoute(legIndex), getPointOnPath(this._nextPath, - 2),
+        this._offset);
+    setLast(this._nextPath, this._legSplit.waypoint);
+    setLast(this._prevPath, this._legSplit.waypoint);
+    this._updateHeading();
+    this._renderHead();
+    this._trigger('animation-progress', {
+      index: this.getCurrentIndex(),
+      offset: this._offset,
+      position: this._legSplit.waypoint
+    });
+  },
+
+  /**
+   * Updates the heading of the traveller: the heading from the waypoint to the
+   * next vertex of the animating leg in the direction of the animation.
+   *
+   * @method {_updateHeading}
+   */
+  _updateHeading: function() {
+    var split = this._legSplit;
+    var from = getPointOnPath(this._prevPath, - 2);
+    var to = getPointOnPath(this._nextPath, - 2);
+    var behind = split.before.length ? split.before[split.before.length - 1] :
+        from;
+    var ahead = split.after.length ? split.after[0] : to;
+    var computeHeading = MapAdapter.api.geometry.spherical.computeHeading;
+    var heading;
+    if (!split.waypoint.equals(ahead)) {
+      heading = computeHeading(split.waypoint, ahead);
+    } else if (!split.waypoint.equals(behind)) {
+      heading = computeHeading(behind, split.waypoint);
+    } else {
+      return;  // On a leg of no length: keep the heading it had.
+    }
+    this._heading = this._forward ? heading : (heading + 360) % 360 - 180;
+  },
+
+  /**
+   * Updates the traveller: it rides the head of the previous path (the
+   * waypoint, or the current location if idle).
+   *
+   * @method {_updateTraveller}
+   */
+  _updateTraveller: function() {
+    var location = this.getPosition();
+    var index = this.isIdle() ? this.getCurrentIndex() :
+        this._prevPath.length - 1;
+    var leg = this._legs[index];
+    var traveller = (leg && leg.traveller) || this._travellerIcon;
+    if (!traveller || !location || !this.map) {
+      if (this._traveller) this._traveller.setMap(null);
+      return;
+    }
+    this._traveller = this._traveller || new MapAdapter.api.Marker({
+      clickable: false,
+      zIndex: MapAdapter.api.Marker.MAX_ZINDEX
+    });
+    this._traveller.setIcon(makeTravellerIcon(traveller, this._heading));
+    this._traveller.setPosition(location);
+    if (this._traveller.getMap() != this.map) this._traveller.setMap(this.map);
+  },
+
+  /**
+   * Gets the duration of the leg's animation: the leg's duration, else worked
+   * out from the length of the leg and the leg's speed, else its elapsed time
+   * compressed by the time scale, else worked out from the default speed, else
+   * the default duration.
+   *
+   * @method {_getLegDuration}
+   * @param {number} index The index of the location the leg leads to.
+   * @returns {number} The duration of the leg's animation in milliseconds.
+   */
+  _getLegDuration: function(index) {
+    var leg = this._legs[index] || {};
+    if (leg.duration > 0) return Number(leg.duration);
+    var elapsed = this._getLegElapsedTime(index);
+    if (!(leg.speed > 0) && this._timeScale > 0 && elapsed > 0) {
+      return elapsed / this._timeScale;
+    }
+    var speed = leg.speed > 0 ? Number(leg.speed) : this._speed;
+    if (speed > 0 && index > 0) {
+      var distances = this._getDistances();
+      return (distances[index] - distances[index - 1]) / speed * 1000;
+    }
+    return this._ANIMATION_TIME_MS;
+  },
+
+  /**
+   * @method {_getLegElapsedTime}
+   * @param {number} index The index of the location the leg leads to.
+   * @returns {?number} The real time in milliseconds between the times of the
+   *     leg's locations (negative if they are out of order), or null if either
+   *     has no time.
+   */
+  _getLegElapsedTime: function(index) {
+    var from = this._getTime(index - 1);
+    var to = this._getTime(index);
+    return (from == null || to == null) ? null : to - from;
+  },
+
+  /**
+   * @method {_getTime}
+   * @param {number} index The index of the location.
+   * @returns {?number} The time of the location (see `_legs`), or null if it
+   *     has none.
+   */
+  _getTime: function(index) {
+    var leg = this._legs[index];
+    return (leg && leg.time != null && isFinite(leg.time)) ?
+        Number(leg.time) : null;
+  },
+
+  /**
+   * @method {_getLegZoom}
+   * @param {number} index The index of the location the leg leads to.
+   * @returns {?number} The zoom to land at on arriving at the location, or
+   *     null if the leg has no zoom.
+   */
+  _getLegZoom: function(index) {
+    var leg = this._legs[index];
+    return (leg && leg.zoom != null) ? Number(leg.zoom) : null;
+  },
+
+  /**
+   * @method {_getLegBounds}
+   * @param {number} index The index of the location the leg leads to.
+   * @returns {google.maps.LatLngBounds} The bounds of the location's area, or
+   *     null if it is not an area.
+   */
+  _getLegBounds: function(index) {
+    var leg = this._legs[index];
+    return (leg && leg.bounds) || null;
+  },
+
+  /**
+   * @method {_getLegStyle}
+   * @param {number} index The index of the location the leg leads to.
+   * @param {string} line The line: `travelledLine` or `upcomingLine`.
+   * @returns {Object} The leg's override of the line style, or null if the leg
+   *     has none.
+   */
+  _getLegStyle: function(index, line) {
+    var leg = this._legs[index];
+    return (leg && leg[line]) || null;
+  },
+
+  /**
+   * @method {_getLegEasing}
+   * @param {number} index The index of the location the leg leads to.
+   * @returns {!Function} The easing function of the leg's animation.
+   */
+  _getLegEasing: function(index) {
+    var leg = this._legs[index];
+    return getEasing((leg && leg.easing) || this._easing);
+  },
+
+  /**
+   * Gets the location at the given index (not the waypoint).
+   *
+   * @method {_getLocation}
+   * @param {number} index The index of the location.
+   * @returns {google.maps.LatLng} The location, or undefined if the index is
+   *     out of range.
+   */
+  _getLocation: function(index) {
+    var prevLength = this._prevPath.length;
+    if (!this.isIdle()) --prevLength;  // Skip the waypoint.
+    if (index < prevLength) return this._prevPath.getAt(index);
+    return this._nextPath.getAt(this.length - 1 - index);
+  },
+
+  /**
+   * @method {_getRoute}
+   * @param {number} index The index of the location the leg leads to.
+   * @returns {!Array.<!google.maps.LatLng>} The vertices of the route of the
+   *     leg, between the previous location and the location at index.
+   */
+  _getRoute: function(index) {
+    var leg = this._legs[index];
+    return (leg && leg.route) || [];
+  },
+
+  /**
+   * Renders the previous and next paths, with the routes of their legs, on the
+   * previous and next polylines.
+   *
+   * @method {_renderLines}
+   */
+  _renderLines: function() {
+    var prevPath = this._prevPath.getArray();
+    var nextPath = this._nextPath.getArray();
+    // If it is not idle, the animating leg leads to this index.
+    var legIndex = prevPath.length - 1;
+    var split = this.isIdle() ? null : this._legSplit;
+
+    var prevLegs = [];
+    for (var i = 1; i < prevPath.length; ++i) {
+      var route = (split && i === legIndex) ? split.before : this._getRoute(i);
+      prevLegs.push({
+        style: this._getLegStyle(i, 'travelledLine'),
+        points: route.concat([prevPath[i]])
+      });
+    }
+
+    // The next path is reversed, so its legs are rendered in reverse.
+    var nextLegs = [];
+    var lastIndex = this.length - 1;
+    for (var j = 1; j < nextPath.length; ++j) {
+      var index = lastIndex - j + 1;
+      var route = (split && j === nextPath.length - 1) ? split.after :
+          this._getRoute(index);
+      nextLegs.push({
+        style: this._getLegStyle(index, 'upcomingLine'),
+        points: route.slice().reverse().concat([nextPath[j]])
+      });
+    }
+
+    this._renderRuns(this._prevLines, this._prevLineStyles,
+        this._travelledLine, prevPath[0], prevLegs, false);
+    this._renderRuns(this._nextLines, this._nextLineStyles,
+        this._upcomingLine, nextPath[0], nextLegs, true);
+    // The animating leg is the last leg of both lines.
+    this._splitTails = split ? {
+      prev: prevLegs[prevLegs.length - 1].points.length,
+      next: nextLegs[nextLegs.length - 1].points.length
+    } : null;
+    this._updateTraveller();
+  },
+
+  /**
+   * Renders the animating leg only, as its split moves along it: the end of
+   * the last polylines of the previous and next lines. The lines must have
+   * been rendered (see `_renderLines`) since the legs last changed.
+   *
+   * @method {_renderHead}
+   */
+  _renderHead: function() {
+    if (!this._splitTails || this.isIdle()) {
+      this._renderLines();
+      return;
+    }
+    var split = this._legSplit;
+    var before = split.before.concat([split.waypoint]);
+    var after = split.after.slice().reverse().concat([split.waypoint]);
+    setPathTail(this._prevLines[this._prevLines.length - 1].getPath(),
+        this._splitTails.prev, before);
+    setPathTail(this._nextLines[this._nextLines.length - 1].getPath(),
+        this._splitTails.next, after);
+    this._splitTails = {prev: before.length, next: after.length};
+    this._updateTraveller();
+  },
+
+  /**
+   * Renders a line as runs of legs of the same style, one polyline per run.
+   * The first polyline is kept even if the line is empty, and polylines left
+   * over from longer lines are removed.
+   *
+   * @method {_renderRuns}
+   * @param {!Array.<google.maps.Polyline>} lines The polylines of the line.
+   * @param {!Array.<Object>} lineStyles The styles the polylines were last
+   *     drawn in. A polyline is only restyled if its style changes.
+   * @param {Object} style The style of the line.
+   * @param {google.maps.LatLng} start The start of the line, if any.
+   * @param {!Array.<{style: Object, points: Array.<google.maps.LatLng>}>} legs
+   *     The legs of the line after the start, with their style overrides.
+   * @param {boolean} reversed If true, the line is in the reverse of the
+   *     direction of travel.
+   */
+  _renderRuns: function(lines, lineStyles, style, start, legs, reversed) {
+    var runs = [{style: legs.length ? legs[0].style : null,
+        points: start ? [start] : []}];
+    legs.forEach(function(leg) {
+      var run = runs[runs.length - 1];
+      if (!isSameLineStyle(leg.style, run.style)) {
+        run = {style: leg.style, points: [run.points[run.points.length - 1]]};
+        runs.push(run);
+      }
+      run.points.push.apply(run.points, leg.points);
+    });
+    runs.forEach(function(run, i) {
+      var lineStyle = mergeLineStyles(style, run.style);
+      var line = lines[i];
+      if (!line) {
+        line = lines[i] = this.makePolyline(lineStyle, reversed);
+      } else if (!isSameLineStyle(lineStyle, lineStyles[i])) {
+        line.setOptions(makePolylineOptions(lineStyle, reversed));
+      }
+      lineStyles[i] = lineStyle;
+      line.setPath(run.points);
+      if (line.getMap() != this.map) line.setMap(this.map);
+    }, this);
+    lineStyles.splice(runs.length);
+    lines.splice(runs.length).forEach(function(line) {
+      line.setMap(null);
+    });
   },
 
   /**
@@ -702,11 +2427,26 @@ LinearAnimationManager.prototype = {
     this._forward = forward;
     var resume = this.isPaused();
     if (!resume) {
-      var line = this._forward ? this._prevLine : this._nextLine;
-      line.getPath().push(getPointOnLine(line, - 1));
+      var path = this._forward ? this._prevPath : this._nextPath;
+      path.push(getPointOnPath(path, - 1));
     }
     this._state = TransitionState.ANIMATING;
+    if (!resume) {
+      this._offset = this._forward ? 0 : 1;
+      this._updateWaypoint();
+    }
+    var index = this.getCurrentIndex();
+    if (resume) {
+      this._trigger('resumed', {index: index, offset: this._offset});
+    } else {
+      this._trigger('transition-start', {index: index, animated: true});
+    }
+    onTransitionComplete = this._endTransition.bind(this, index,
+        onTransitionComplete);
     this._panToAnimatingLineSegment();
+    var legIndex = this._prevPath.length - 1;
+    var duration = this._getLegDuration(legIndex);
+    var easing = this._getLegEasing(legIndex);
     /* NOTE: requestAnimationFrame gives the DOMHighResTimeStamp as the
      * last parameter in the callback. (The 1st parameter in this case.)
      */
@@ -716,27 +2456,56 @@ LinearAnimationManager.prototype = {
     function step(startTime, currentTime) {
       if (!currentTime) currentTime = startTime;
       var diffTime = currentTime - startTime;
-      var fromOffset = (diffTime / this._ANIMATION_TIME_MS);
+      var timeFraction = duration > 0 ? (diffTime / duration) : 1;
       if (resume) {
+        // Resume at the time the eased progress reached the paused offset.
         resume = false;
-        fromOffset = this._forward ? this._offset : (1 - this._offset);
-        diffTime = fromOffset*this._ANIMATION_TIME_MS;
+        var fromOffset = this._forward ? this._offset : (1 - this._offset);
+        timeFraction = invertEasing(easing, fromOffset);
+        diffTime = timeFraction*duration;
         startTime -= diffTime;
       }
 
-      if (fromOffset >= 1) {
+      if (timeFraction >= 1) {
         this.finishAnimation(true, onTransitionComplete);
         return;
       }
 
-      this._offset = this._forward ? fromOffset : (1 - fromOffset);
+      var progress = easing(timeFraction);
+      this._offset = this._forward ? progress : (1 - progress);
       this._updateWaypoint();
+      this._mapTransitionManager.follow(this._legSplit.waypoint);
 
       this._intervalId = window.requestAnimationFrame(
           step.bind(this, startTime));
     }
   },
 
+  /**
+   * Triggers `transition-end` once a transition is complete, then invokes its
+   * callback.
+   *
+   * @method {_endTransition}
+   * @param {number} index The index of the location arrived at.
+   * @param {Function} onTransitionComplete (Optional) The callback of the
+   *     transition.
+   */
+  _endTransition: function(index, onTransitionComplete) {
+    this._trigger('transition-end', {index: index});
+    if (onTransitionComplete) onTransitionComplete();
+  },
+
+  /**
+   * Triggers an event of the manager (see `LinearAnimationManager`).
+   *
+   * @method {_trigger}
+   * @param {string} type The type of the event.
+   * @param {!Object} detail The detail of the event.
+   */
+  _trigger: function(type, detail) {
+    MapAdapter.api.event.trigger(this, type, detail);
+  },
+
   /**
    * Cancels the current animation frame.
    * NOTE: It does not update the manager's state, nor touch the polyline.
@@ -763,13 +2532,16 @@ LinearAnimationManager.prototype = {
     if (this.isIdle()) return;
     this._cancelAnimation();
     this._state = TransitionState.IDLE;
-    var shortenLine = (this._forward && this._nextLine) || this._prevLine;
-    shortenLine.getPath().pop();
-    var currentLoc = getPointOnLine(shortenLine, - 1);
-    var line = this._forward ? this._prevLine : this._nextLine;
-    setLast(line, currentLoc);
+    var shortenPath = (this._forward && this._nextPath) || this._prevPath;
+    shortenPath.pop();
+    var currentLoc = getPointOnPath(shortenPath, - 1);
+    var path = this._forward ? this._prevPath : this._nextPath;
+    setLast(path, currentLoc);
+    this._renderLines();
     if (finishTransition) {
-      this._mapTransitionManager.panTo(currentLoc, onTransitionComplete);
+      var index = this.getCurrentIndex();
+      this._mapTransitionManager.arrive(currentLoc, this._getLegZoom(index),
+          onTransitionComplete, this._getLegBounds(index));
     } else if (onTransitionComplete) {
       onTransitionComplete();
     }